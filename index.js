@@ -9,7 +9,495 @@ const wordReg = /^\w+$/
 const suffixReg = /\+[A-Za-z0-9!$%&'*+,-.:;=@_~]*$/
 const doubleColonReg = /^::[A-Za-z0-9!$%&'*+,-.:;=@_~]*$/
 const trimSlashReg = /^\//
+const trailingSlashReg = /\/$/
 const fixMultiSlashReg = /\/{2,}/g
+const dotSegmentReg = /^(?:\.|%2e){1,2}$/i
+const encodedUnicodeReg = /(?:%[89a-f][0-9a-f])+/ig
+const nonAsciiReg = /[^\x00-\x7f]+/g
+
+const escapeReg = /[.*+?^${}()|[\]\\]/g
+const paramNameReg = /^[A-Za-z_]\w*/
+
+// A param inside a multi-param segment; `regex` validates a whole value
+function paramPart (name, source, type = null) {
+  return { name, source, type, regex: source == null ? null : new RegExp(`^(?:${source})$`) }
+}
+
+// A regexp source without its "^" and "$" anchors, to embed in a larger one
+function unanchor (source) {
+  return source.replace(/^\^/, '').replace(/([^\\])\$$/, '$1')
+}
+
+// The regexp of a multi-param segment, with its literal text lowercased when `fold`
+function compoundRegex (parts, fold = false) {
+  return new RegExp('^' + parts.map(part => typeof part === 'string'
+    ? (fold ? part.toLowerCase() : part).replace(escapeReg, '\\$&')
+    : `(?<${part.name}>${part.source == null ? '.+' : part.source})`).join('') + '$')
+}
+
+// Compares multi-param segments while ignoring param names
+function partsShape (parts) {
+  return parts.map(part => typeof part === 'string'
+    ? part
+    : `\0${part.source}\0${part.type === null ? '' : part.type.name}`).join('')
+}
+
+// Index of the ")" closing the regex opened at `start`, or -1
+function findRegexEnd (segment, start) {
+  let depth = 0
+  let inClass = false
+  for (let i = start; i < segment.length; i++) {
+    const ch = segment[i]
+    if (ch === '\\') {
+      i++
+    } else if (inClass) {
+      inClass = ch !== ']'
+    } else if (ch === '[') {
+      inClass = true
+    } else if (ch === '(') {
+      depth++
+    } else if (ch === ')' && --depth === 0) {
+      return i
+    }
+  }
+  return -1
+}
+
+/**
+ * Expands the optional parts of a pattern, written as `{...}` groups or as
+ * trailing `:name?` segments, into every concrete pattern it stands for,
+ * the fullest first. Returns null when the pattern has no optional parts.
+ */
+function expandOptional (pattern) {
+  const segments = pattern.split('/')
+  let source = segments[0]
+  let open = 0
+  for (const segment of segments.slice(1)) {
+    // Consecutive optional params nest: "/:a?/:b?" is "{/:a{/:b}}"
+    if (segment[0] === ':' && segment.endsWith('?')) {
+      source += '{/' + segment.slice(0, -1)
+      open++
+    } else {
+      source += '}'.repeat(open) + '/' + segment
+      open = 0
+    }
+  }
+  source += '}'.repeat(open)
+
+  const root = []
+  const stack = [root]
+  let text = ''
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i]
+    const close = ch === '(' ? findRegexEnd(source, i) : -1
+    if (close > 0) {
+      text += source.slice(i, close + 1)
+      i = close
+    } else if (ch === '{' || ch === '}') {
+      stack[stack.length - 1].push(text)
+      text = ''
+      if (ch === '{') {
+        const group = []
+        stack[stack.length - 1].push(group)
+        stack.push(group)
+      } else if (stack.length === 1 || stack.pop().every(item => item === '')) {
+        throw new Error(`Invalid pattern: "${pattern}"`)
+      }
+    } else {
+      text += ch
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error(`Invalid pattern: "${pattern}"`)
+  }
+  if (root.length === 0) {
+    return null
+  }
+  root.push(text)
+  const expand = items => items.reduce((prefixes, item) => {
+    const options = typeof item === 'string' ? [item] : [...expand(item), '']
+    return prefixes.flatMap(prefix => options.map(option => prefix + option))
+  }, [''])
+  return expand(root)
+}
+
+const paramTypes = {
+  int: {
+    regex: /^-?\d+$/,
+    parse: str => {
+      const value = Number(str)
+      return Number.isSafeInteger(value) ? value : undefined
+    },
+    stringify: value => String(value)
+  },
+  uuid: {
+    regex: /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/,
+    parse: str => str.toLowerCase(),
+    stringify: value => String(value)
+  },
+  date: {
+    regex: /^\d{4}-\d{2}-\d{2}$/,
+    parse: str => {
+      const value = new Date(str + 'T00:00:00Z')
+      // Rejects invalid and rolled over dates such as "2024-02-30"
+      return !isNaN(value) && value.toISOString().slice(0, 10) === str ? value : undefined
+    },
+    stringify: value => value instanceof Date ? value.toISOString().slice(0, 10) : String(value)
+  }
+}
+
+// A failed conversion, thrown or returning undefined, gives undefined
+function convertParam (type, str) {
+  if (type === null) {
+    return str
+  }
+  try {
+    return type.parse(str)
+  } catch (err) {
+    return undefined
+  }
+}
+
+const classRanges = {
+  d: [[48, 57]],
+  w: [[48, 57], [65, 90], [95, 95], [97, 122]]
+}
+
+// The character ranges of a class escape or an escaped character at `source[i]`
+function escapeRanges (source, i) {
+  const char = source[i]
+  if (char in classRanges) {
+    return classRanges[char]
+  }
+  return char === undefined || /[0-9a-zA-Z]/.test(char) ? null : [[char.charCodeAt(0), char.charCodeAt(0)]]
+}
+
+/**
+ * Parses anchored regexps made of characters, `\d`, `\w`, `.` and simple
+ * `[...]` classes, each with an optional `?`, `*`, `+` or `{n,m}`, as a list
+ * of `{ ranges, min, max }`, or gives null for any other regexp.
+ */
+function regexAtoms (regex) {
+  const source = regex.source
+  if (regex.flags !== '' || source[0] !== '^' || source[source.length - 1] !== '$') {
+    return null
+  }
+  const atoms = []
+  let i = 1
+  while (i < source.length - 1) {
+    let ranges = null
+    const char = source[i]
+    if (char === '\\') {
+      ranges = escapeRanges(source, i + 1)
+      i += 2
+    } else if (char === '.') {
+      ranges = [[0, 9], [11, 0x10ffff]]
+      i++
+    } else if (char === '[') {
+      ranges = []
+      i++
+      while (i < source.length && source[i] !== ']' && ranges !== null) {
+        if (source[i] === '^' && source[i - 1] === '[') {
+          ranges = null
+        } else if (source[i] === '\\') {
+          const escaped = escapeRanges(source, i + 1)
+          ranges = escaped === null ? null : ranges.concat(escaped)
+          i += 2
+        } else if (source[i + 1] === '-' && source[i + 2] !== ']' && source[i + 2] !== '\\') {
+          ranges.push([source.charCodeAt(i), source.charCodeAt(i + 2)])
+          i += 3
+        } else {
+          ranges.push([source.charCodeAt(i), source.charCodeAt(i)])
+          i++
+        }
+      }
+      i++
+    } else if (!'()|]{}*+?^$'.includes(char)) {
+      ranges = [[source.charCodeAt(i), source.charCodeAt(i)]]
+      i++
+    }
+    if (ranges === null || ranges.length === 0) {
+      return null
+    }
+    let min = 1
+    let max = 1
+    const quantifier = /^(?:[?*+]|\{(\d+)(,(\d*))?\})/.exec(source.slice(i, source.length - 1))
+    if (quantifier !== null) {
+      if (quantifier[0] === '?' || quantifier[0] === '*') {
+        min = 0
+      }
+      if (quantifier[1] !== undefined) {
+        min = Number(quantifier[1])
+      }
+      if (quantifier[0] === '?') {
+        max = 1
+      } else if (quantifier[1] === undefined || (quantifier[2] !== undefined && quantifier[3] === '')) {
+        max = Infinity
+      } else {
+        max = quantifier[3] ? Number(quantifier[3]) : min
+      }
+      i += quantifier[0].length
+    }
+    atoms.push({ ranges, min, max })
+  }
+  // An escaped "$" or an unclosed class ran over the anchor
+  return i === source.length - 1 ? atoms : null
+}
+
+// Whether every character in the ranges `b` is in the ranges `a`
+function rangesCover (a, b) {
+  return b.every(([from, to]) => {
+    for (let code = from; code <= to;) {
+      const range = a.find(([start, end]) => start <= code && code <= end)
+      if (range === undefined) {
+        return false
+      }
+      code = range[1] + 1
+    }
+    return true
+  })
+}
+
+/**
+ * Whether regexp `a` matches every string regexp `b` matches. Only literal
+ * strings and one repeated character class are compared, for other regexps
+ * it gives false unless both have the same source.
+ */
+function regexCovers (a, b) {
+  if (a.source === b.source) {
+    return true
+  }
+  const atoms = regexAtoms(b)
+  if (atoms === null) {
+    return false
+  }
+  if (atoms.every(({ ranges, min, max }) => min === 1 && max === 1 && ranges.length === 1 && ranges[0][0] === ranges[0][1])) {
+    return a.test(String.fromCharCode(...atoms.map(({ ranges }) => ranges[0][0])))
+  }
+  const other = regexAtoms(a)
+  if (other === null || atoms.length !== 1 || other.length !== 1) {
+    return false
+  }
+  return other[0].min <= atoms[0].min && atoms[0].max <= other[0].max && rangesCover(other[0].ranges, atoms[0].ranges)
+}
+
+// Whether vary node `a`, tried first, matches every segment `b` matches
+function shadows (a, b) {
+  if (a.wildcard || b.wildcard || a.type !== null || a.parts !== null) {
+    return false
+  }
+  // Every segment ending with `b.suffix` also ends with `a.suffix`
+  if (a.regex === null) {
+    return b.suffix.endsWith(a.suffix)
+  }
+  return b.parts === null && b.regex !== null && a.suffix === b.suffix && regexCovers(a.regex, b.regex)
+}
+
+// `pattern` under `prefix`, the "/" pattern being the prefix itself
+function joinPattern (prefix, pattern) {
+  const path = pattern.replace(trimSlashReg, '')
+  const base = prefix.replace(trailingSlashReg, '')
+  return path === '' ? base || '/' : base + '/' + path
+}
+
+/**
+ * Host patterns are matched as paths of their labels in reverse order,
+ * "api.:tenant.example.com" as "/com/example/:tenant/api", so a catch-all
+ * first label like ":sub*.example.com" captures every leading label.
+ */
+function hostPattern (host) {
+  if (typeof host !== 'string') {
+    throw new TypeError('Host must be string.')
+  }
+  const labels = []
+  let start = 0
+  for (let i = 0; i <= host.length; i++) {
+    if (host[i] === '(') {
+      i = findRegexEnd(host, i)
+      if (i < 0) {
+        throw new Error(`Invalid host: "${host}"`)
+      }
+    } else if (i === host.length || host[i] === '.') {
+      labels.push(host.slice(start, i))
+      start = i + 1
+    }
+  }
+  if (labels.some(label => label === '' || /[/{}]/.test(label))) {
+    throw new Error(`Invalid host: "${host}"`)
+  }
+  return '/' + labels.reverse().join('/')
+}
+
+// The path a request host is matched as, without its port and trailing dot
+function hostPath (host) {
+  if (typeof host !== 'string') {
+    throw new TypeError('Host must be string.')
+  }
+  host = host.toLowerCase().replace(/:\d*$/, '').replace(/\.$/, '')
+  return '/' + host.split('.').reverse().join('/')
+}
+
+// Request header `name` of a match context, from a plain object or a Fetch API `Headers`
+function getHeader (context, name) {
+  const headers = context.headers
+  if (headers == null) {
+    return null
+  }
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name]
+  return value == null ? null : String(value)
+}
+
+// Whether `version`, ex, "2.1.3", is in `range`, ex, "2", "2.x" or "2.1.3"
+function matchVersion (range, version) {
+  const parts = version.trim().split('.')
+  return String(range).split('.').every((part, i) => part === 'x' || part === '*' || part === parts[i])
+}
+
+// Whether an Accept header accepts the media `type`, ranges with "q=0" excluded
+function accepts (header, type) {
+  const [main, sub] = type.toLowerCase().split('/')
+  return header.toLowerCase().split(',').some(entry => {
+    const [range, ...params] = entry.split(';')
+    if (params.some(param => /^\s*q\s*=\s*0(\.0*)?\s*$/.test(param))) {
+      return false
+    }
+    const [rangeMain, rangeSub] = range.trim().split('/')
+    return (rangeMain === '*' || rangeMain === main) && (rangeSub === '*' || rangeSub === sub)
+  })
+}
+
+// Built-in constraints, called as `match(value, context)` with the value given to `handle`
+const constraintStrategies = {
+  version: (value, context) => {
+    const header = getHeader(context, 'accept-version')
+    return header !== null && matchVersion(value, header)
+  },
+  // A request without Accept header accepts any media type
+  accept: (value, context) => {
+    const header = getHeader(context, 'accept')
+    return header === null || accepts(header, value)
+  },
+  contentType: (value, context) => {
+    const header = getHeader(context, 'content-type')
+    return header !== null && header.split(';')[0].trim().toLowerCase() === value.toLowerCase()
+  }
+}
+
+const openAPIMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+const trieEvents = ['define', 'handle', 'remove', 'match', 'miss']
+
+// The OpenAPI schema of a param validated by the regexp `source` or by `type`
+function paramSchema (source, type) {
+  if (type !== null) {
+    switch (type.name) {
+      case 'int':
+        return { type: 'integer' }
+      case 'uuid':
+      case 'date':
+        return { type: 'string', format: type.name }
+      default:
+        return { type: 'string', pattern: type.regex.source, 'x-type': type.name }
+    }
+  }
+  return source == null ? { type: 'string' } : { type: 'string', pattern: source }
+}
+
+// The `:name` param, with its regexp or type, for an OpenAPI param `schema`
+function schemaParam (name, schema = {}) {
+  if (schema['x-type'] != null) {
+    return `:${name}<${schema['x-type']}>`
+  }
+  if (schema.type === 'integer') {
+    return `:${name}<int>`
+  }
+  if (schema.format === 'uuid' || schema.format === 'date') {
+    return `:${name}<${schema.format}>`
+  }
+  return schema.pattern == null ? `:${name}` : `:${name}(${schema.pattern})`
+}
+
+// The pattern for an OpenAPI path template, `schemas` being the path params' by name
+function templatePattern (template, schemas) {
+  return template.split('/').map(segment => {
+    const pieces = segment.split(/\{(\w+)\}/)
+    if (pieces.length === 1) {
+      return segment[0] === ':' ? ':' + segment : segment
+    }
+    const params = pieces.filter((piece, i) => i % 2 === 1)
+    const schema = schemas[params[0]] || {}
+    if (params.length === 1 && pieces[0] === '' && schema['x-catch-all'] === true && pieces[2] === '') {
+      return `:${params[0]}*`
+    }
+    if (params.length === 1 && pieces[0] === '') {
+      return schemaParam(params[0], schema) + (pieces[2] === '' ? '' : '+' + pieces[2])
+    }
+    // A single param can't follow text, several params are a compound segment
+    if (params.length === 1) {
+      throw new Error(`Unsupported path template: "${template}"`)
+    }
+    return pieces.map((piece, i) => i % 2 === 1 ? schemaParam(piece, schemas[piece]) : piece.replace(/:/g, '::')).join('')
+  }).join('/')
+}
+
+// 308 keeps the method and body of requests other than GET and HEAD
+function redirectStatus (method, options) {
+  return method === 'GET' || method === 'HEAD'
+    ? options.redirectStatus || 301
+    : options.methodRedirectStatus || 308
+}
+
+// Returns null instead of throwing URIError on malformed escapes
+function decodeSegment (str) {
+  try {
+    return decodeURIComponent(str)
+  } catch (err) {
+    return null
+  }
+}
+
+// Unicode NFC of every segment of `path`. Percent-encoded characters are
+// normalized decoded, and the segment is encoded again when that changes it
+function normalizeUnicode (path) {
+  return path.split('/').map(segment => {
+    const decoded = segment.includes('%') ? segment.replace(encodedUnicodeReg, run => decodeSegment(run) || run) : segment
+    const normalized = decoded.normalize('NFC')
+    if (normalized === decoded) {
+      return segment
+    }
+    try {
+      return decoded === segment ? normalized : normalized.replace(nonAsciiReg, encodeURIComponent)
+    } catch (err) {
+      // Lone surrogates can't be encoded
+      return segment
+    }
+  }).join('/')
+}
+
+// Resolves "." and ".." segments, also percent-encoded, like a browser does.
+// Returns null when ".." would go above the root
+function removeDotSegments (path) {
+  const segments = path.split('/')
+  const output = []
+  for (let i = 1; i < segments.length; i++) {
+    const segment = segments[i]
+    if (!dotSegmentReg.test(segment)) {
+      output.push(segment)
+      continue
+    }
+    if (segment.replace(/%2e/ig, '.') === '..') {
+      if (output.length === 0) {
+        return null
+      }
+      output.pop()
+    }
+    // "/a/." and "/a/b/.." keep the trailing slash
+    if (i === segments.length - 1) {
+      output.push('')
+    }
+  }
+  return '/' + output.join('/')
+}
 
 /**
  * Represents the result of a route matching operation.
@@ -18,8 +506,20 @@ class Matched {
   constructor () {
     this.node = null
     this.params = {}
+    this.query = new URLSearchParams()
     this.fpr = ''
     this.tsr = ''
+    // One of 'found', 'redirect', 'not-found', and when matched with a
+    // method, 'method-not-allowed' or 'options'
+    this.status = 'not-found'
+    this.handler = null
+    this.allow = ''
+    // The constraint that failed when no handler's constraints are met
+    this.constraint = ''
+    // The version of a versioned route resolved for the requested version
+    this.version = null
+    // Middleware from the root down to the matched node
+    this.middleware = []
   }
 }
 
@@ -31,170 +531,1676 @@ class Node {
     this.name = ''
     this.allow = ''
     this.pattern = ''
+    this.routeName = ''
     this.segment = ''
     this.priority = 0
     this.suffix = ''
     this.regex = null
+    this.type = null
+    this.parts = null
+    // The regex of a multi-param segment matching its literal text lowercased
+    this.foldedRegex = null
+    this.alias = null
+    this.variants = null
     this.endpoint = false
     this.wildcard = false
     this.varyChildren = []
     this.parent = parent
     this.children = Object.create(null)
     this.handlers = Object.create(null)
+    // Handlers registered with constraints, by method, as `{ constraints, handler }`
+    this.constrained = Object.create(null)
+    // Metadata given to `handle`, by method, ex, `{ summary, tags }`
+    this.meta = Object.create(null)
+    // `ignoreCase`, `fixedPathRedirect` and `trailingSlashRedirect` set for this subtree
+    this.options = null
+    // The version of a node defined with `options.version`, which is not in the tree
+    this.version = null
+    // The version nodes of a route, by version, including the route itself when
+    // it is defined without a version
+    this.versions = null
+    // The trie of a root node, notified of handlers
+    this.trie = null
+    this.middleware = []
+  }
+
+  use (...fns) {
+    for (const fn of fns) {
+      if (typeof fn !== 'function') {
+        throw new TypeError('middleware should be a function')
+      }
+    }
+    this.middleware.push(...fns)
+    return this
   }
 
-  handle (method, handler) {
+  /**
+   * Handlers with `options.constraints`, ex, `{ version: '2.x' }`, are only
+   * selected when matched with a context meeting every constraint, the ones
+   * with the most constraints first, then the handler without constraints.
+   * `options.meta` is merged into the method's metadata, see `toOpenAPI`.
+   */
+  handle (method, handler, options = {}) {
     if (handler == null) {
       throw new TypeError('handler should not be null')
     }
-    if (this.handlers[method] != null) {
-      throw new Error(`"${method}" already defined`)
+    const exists = this.handlers[method] != null || this.constrained[method] != null
+    const constraints = options.constraints == null ? {} : options.constraints
+    let root = this
+    while (root.parent !== null) {
+      root = root.parent
+    }
+    if (root.trie !== null) {
+      for (const name of Object.keys(constraints)) {
+        if (root.trie.constraints[name] == null) {
+          throw new Error(`Constraint "${name}" is not registered`)
+        }
+      }
     }
-    this.handlers[method] = handler
-    if (this.allow === '') {
-      this.allow = method
+    if (Object.keys(constraints).length > 0) {
+      const key = JSON.stringify(Object.entries(constraints).sort())
+      const list = this.constrained[method] || (this.constrained[method] = [])
+      if (list.some(entry => JSON.stringify(Object.entries(entry.constraints).sort()) === key)) {
+        throw new Error(`"${method}" already defined with constraints ${JSON.stringify(constraints)}`)
+      }
+      list.push({ constraints: Object.assign({}, constraints), handler })
+      list.sort((a, b) => Object.keys(b.constraints).length - Object.keys(a.constraints).length)
+    } else if (this.handlers[method] != null) {
+      throw new Error(`"${method}" already defined`)
     } else {
-      this.allow += ', ' + method
+      this.handlers[method] = handler
+    }
+    if (options.meta != null) {
+      this.meta[method] = Object.assign(this.meta[method] || {}, options.meta)
+    }
+    if (!exists) {
+      this.allow = this.allow === '' ? method : this.allow + ', ' + method
+    }
+    if (root.trie !== null) {
+      root.trie._emit('handle', { node: this, pattern: this.pattern, method, handler, constraints })
+    }
+  }
+
+  getHandler (method) {
+    if (this.handlers[method] != null) {
+      return this.handlers[method]
+    }
+    return this.handlers.ANY == null ? null : this.handlers.ANY
+  }
+
+  getAllow () {
+    return this.allow
+  }
+
+  getPattern () {
+    return this.pattern
+  }
+
+  getSegments () {
+    if (this.parent === null) { // This is the root node
+        return this.segment;
+    }
+    const parentSegments = this.parent.getSegments();
+    // Avoid double slash
+    return parentSegments === '/' ? parentSegments + this.segment : parentSegments + '/' + this.segment;
+  }
+
+  /**
+   * Builds a concrete URL path for this node, substituting `params` into
+   * every named segment from the root down. Values are validated against
+   * the segment's regex and percent-encoded.
+   */
+  url (params = {}) {
+    if (params === null || typeof params !== 'object') {
+      throw new TypeError('Params must be an object.')
+    }
+    if (this.variants !== null) {
+      // The fullest variant all of whose params are given, which must use every given param
+      const variant = this.variants.find(node => node._params().every(param => params[param.name] != null))
+      if (variant != null) {
+        const names = variant._params().map(param => param.name)
+        for (const node of this.variants) {
+          const unused = node._params().find(param => params[param.name] != null && !names.includes(param.name))
+          if (unused != null) {
+            throw new Error(`Param "${unused.name}" can not be used without the params before it for "${this.pattern}"`)
+          }
+        }
+        if (variant !== this) {
+          return variant._path(params)
+        }
+      }
+    }
+    return this._path(params)
+  }
+
+  _path (params) {
+    const parts = []
+    for (let node = this; node.parent !== null; node = node.parent) {
+      parts.unshift(node._buildSegment(params))
+    }
+    return '/' + parts.join('/')
+  }
+
+  _params () {
+    const params = []
+    for (let node = this; node !== null; node = node.parent) {
+      if (node.parts !== null) {
+        params.unshift(...node.parts.filter(part => typeof part !== 'string').map(part => ({
+          name: part.name,
+          regex: part.source,
+          type: part.type === null ? null : part.type.name,
+          suffix: '',
+          wildcard: false
+        })))
+      } else if (node.name !== '') {
+        params.unshift({
+          name: node.name,
+          regex: node.regex == null ? null : node.regex.source,
+          type: node.type === null ? null : node.type.name,
+          suffix: node.suffix,
+          wildcard: node.wildcard
+        })
+      }
+    }
+    return params
+  }
+
+  _buildSegment (params) {
+    if (this.parts !== null) {
+      return this.parts.map(part => typeof part === 'string'
+        ? part
+        : encodeURIComponent(this._buildValue(params, part.name, part.regex, part.type))).join('')
+    }
+    if (this.name === '') {
+      return doubleColonReg.test(this.segment) ? this.segment.slice(1) : this.segment
+    }
+    if (this.wildcard) {
+      return this._buildValue(params, this.name, null, null).split('/').map(encodeURIComponent).join('/')
+    }
+    return encodeURIComponent(this._buildValue(params, this.name, this.regex, this.type)) + this.suffix
+  }
+
+  _buildValue (params, name, regex, type) {
+    const value = params[name]
+    if (value == null) {
+      throw new Error(`Missing param "${name}" for "${this.getSegments()}"`)
+    }
+    const str = type === null ? String(value) : type.stringify(value)
+    if (str === '') {
+      throw new Error(`Param "${name}" must not be empty for "${this.getSegments()}"`)
+    }
+    if (regex != null && !regex.test(str)) {
+      throw new Error(`Invalid param "${name}": "${str}" does not match ${regex} for "${this.getSegments()}"`)
+    }
+    return str
+  }
+}
+
+/**
+ * The main Trie class for routing.
+ */
+class Trie {
+  static NAME = 'Trie'
+  static VERSION = 'v3.0.0'
+
+  constructor (options = {}) {
+    this.ignoreCase = options.ignoreCase !== false
+    this.fpr = options.fixedPathRedirect !== false
+    this.tsr = options.trailingSlashRedirect !== false
+    this.decodeParams = options.decodeParams === true
+    this.normalizePath = options.normalizePath === true
+    this.strict = options.strict === true
+    this.autoHead = options.autoHead !== false
+    this.autoOptions = options.autoOptions !== false
+    this.root = new Node(null)
+    this.root.segment = '/' // Give root a segment for correct path building
+    this.root.trie = this
+    // Listeners of `on`, by event
+    this.listeners = Object.create(null)
+    this.names = Object.create(null)
+    this.types = Object.create(null)
+    for (const name of Object.keys(paramTypes)) {
+      this.registerType(name, paramTypes[name])
+    }
+    this.constraints = Object.create(null)
+    for (const name of Object.keys(constraintStrategies)) {
+      this.registerConstraint(name, constraintStrategies[name])
+    }
+    // Host patterns, and the routes of each host node as `{ host, trie }`
+    this.hosts = null
+    this.hostTries = new Map()
+    // The generated matcher of `compile`, dropped when routes change
+    this.matcher = null
+    // Whether any node has options of its own, see `configure`
+    this.scoped = false
+    // Whether any route is defined with a version
+    this.versioned = false
+  }
+
+  registerType (name, { regex, parse = str => str, stringify = value => String(value) } = {}) {
+    if (typeof name !== 'string' || !wordReg.test(name)) {
+      throw new TypeError(`Invalid type name: "${name}"`)
+    }
+    if (!(regex instanceof RegExp)) {
+      throw new TypeError(`Type "${name}" needs a regex.`)
+    }
+    if (typeof parse !== 'function' || typeof stringify !== 'function') {
+      throw new TypeError(`Type "${name}" parse and stringify must be functions.`)
+    }
+    if (this.types[name] != null) {
+      throw new Error(`Type "${name}" already defined`)
+    }
+    this.types[name] = { name, regex, parse, stringify }
+  }
+
+  // `match(value, context)` tells whether a match context meets a handler constraint
+  registerConstraint (name, match) {
+    if (typeof name !== 'string' || !wordReg.test(name)) {
+      throw new TypeError(`Invalid constraint name: "${name}"`)
+    }
+    if (typeof match !== 'function') {
+      throw new TypeError(`Constraint "${name}" must be a function.`)
+    }
+    if (this.constraints[name] != null) {
+      throw new Error(`Constraint "${name}" already defined`)
+    }
+    this.constraints[name] = match
+  }
+
+  // Middleware for every route
+  use (...fns) {
+    this.root.use(...fns)
+    return this
+  }
+
+  /**
+   * Calls `listener` with `{ node, pattern, method }` on `event`:
+   * 'define', 'handle' and 'remove' when routes change, 'match' and 'miss'
+   * when `match` finds a route or not.
+   */
+  on (event, listener) {
+    if (!trieEvents.includes(event)) {
+      throw new TypeError(`Unknown event: "${event}"`)
+    }
+    if (typeof listener !== 'function') {
+      throw new TypeError('Listener must be a function.')
+    }
+    (this.listeners[event] || (this.listeners[event] = [])).push(listener)
+    return this
+  }
+
+  off (event, listener) {
+    const listeners = this.listeners[event]
+    if (listeners != null && listeners.includes(listener)) {
+      listeners.splice(listeners.indexOf(listener), 1)
+    }
+    return this
+  }
+
+  _emit (event, payload) {
+    const listeners = this.listeners[event]
+    if (listeners == null) {
+      return
+    }
+    for (const listener of listeners.slice()) {
+      listener(payload)
+    }
+  }
+
+  define (pattern, options = {}) {
+    if (options === null || typeof options !== 'object') {
+      throw new TypeError('Options must be an object.')
+    }
+    if (options.host != null) {
+      return this._hostTrie(options.host).define(pattern, Object.assign({}, options, { host: null }))
+    }
+    this.matcher = null
+    if (typeof pattern !== 'string') {
+      throw new TypeError('Pattern must be string.')
+    }
+    if (pattern.includes('//')) {
+      throw new Error('Multi-slash exists.')
+    }
+    if (options.version != null && (!Number.isInteger(options.version) || options.version < 0)) {
+      throw new TypeError('Version must be a non-negative integer.')
+    }
+
+    const strict = options.strict != null ? options.strict === true : this.strict
+    // Only a new route or version is reported to 'define' listeners
+    const defined = this._findRoute(pattern)
+    const variants = expandOptional(pattern)
+    const node = variants === null
+      ? this._definePattern(pattern, strict)
+      : this._defineOptional(pattern, variants, strict)
+    for (const variant of node.variants || [node]) {
+      this._configureNode(variant, options)
+    }
+    if (options.version != null) {
+      if (node.versions === null) {
+        node.versions = defined !== null && defined.endpoint ? [node] : []
+      }
+      const existing = node.versions.find(n => n.version === options.version)
+      const version = existing || this._versionNode(node, options.version)
+      if (options.name != null) {
+        this._nameNode(version, options.name)
+      }
+      if (existing === undefined) {
+        this._emit('define', { node: version, pattern, method: '' })
+      }
+      return version
+    }
+    if (options.name != null) {
+      this._nameNode(node, options.name)
+    }
+    let created = defined === null || !defined.endpoint
+    // Defined without a version, the route is the lowest version
+    if (node.versions !== null && !node.versions.includes(node)) {
+      node.versions.unshift(node)
+      created = true
+    }
+    if (created) {
+      this._emit('define', { node, pattern, method: '' })
+    }
+    return node
+  }
+
+  // A node holding the handlers of `route` for `version`, sharing its place in the tree
+  _versionNode (route, version) {
+    const node = new Node(route.parent)
+    for (const field of ['name', 'pattern', 'segment', 'priority', 'suffix', 'regex', 'type', 'parts', 'wildcard', 'variants']) {
+      node[field] = route[field]
+    }
+    node.endpoint = true
+    node.version = version
+    route.versions.push(node)
+    route.versions.sort((a, b) => (a.version === null ? -1 : a.version) - (b.version === null ? -1 : b.version))
+    this.versioned = true
+    this.matcher = null
+    return node
+  }
+
+  // The highest version of `route` at or below `context.version`, the latest without one
+  _resolveVersion (route, context) {
+    const requested = context == null || context.version == null ? Infinity : context.version
+    if (typeof requested !== 'number') {
+      throw new TypeError('Version must be a number.')
+    }
+    let resolved = null
+    for (const node of route.versions) {
+      if (node.version === null || node.version <= requested) {
+        resolved = node
+      }
+    }
+    return resolved
+  }
+
+  /**
+   * Sets `ignoreCase`, `fixedPathRedirect` or `trailingSlashRedirect` for
+   * `prefix` and every route below it, overriding the trie's options.
+   * Matching honors the setting nearest to the matched node.
+   */
+  configure (prefix, options) {
+    const node = this._definePrefix(prefix)
+    this._configureNode(node, options)
+    return node
+  }
+
+  _configureNode (node, options) {
+    for (const name of ['ignoreCase', 'fixedPathRedirect', 'trailingSlashRedirect']) {
+      if (options[name] == null) continue
+      if (typeof options[name] !== 'boolean') {
+        throw new TypeError(`Option "${name}" must be a boolean.`)
+      }
+      node.options = Object.assign(node.options || {}, { [name]: options[name] })
+      this.scoped = true
+      this.matcher = null
+    }
+  }
+
+  // The setting of option `name` nearest to `node`, up to the trie's own
+  _setting (node, name) {
+    if (this.scoped) {
+      for (let n = node; n != null; n = n.parent) {
+        if (n.options !== null && n.options[name] != null) {
+          return n.options[name]
+        }
+      }
+    }
+    return name === 'ignoreCase' ? this.ignoreCase : name === 'fixedPathRedirect' ? this.fpr : this.tsr
+  }
+
+  /**
+   * Copies every route of `trie` under `prefix`, with its handlers, names
+   * and middleware. Later changes to `trie` are not reflected.
+   */
+  mount (prefix, trie) {
+    if (!(trie instanceof Trie)) {
+      throw new TypeError('Mounted trie must be a Trie.')
+    }
+    this.matcher = null
+    const target = this._definePrefix(prefix)
+    // Conflicts are checked before any route is grafted
+    try {
+      for (const { host, trie: hostTrie } of trie._hosts()) {
+        const existing = this._findHostTrie(host)
+        if (existing !== null) {
+          const path = prefix.replace(trimSlashReg, '').replace(trailingSlashReg, '')
+          existing._checkMount(path === '' ? existing.root : existing._findNode(path), hostTrie.root)
+        } else {
+          this._checkMount(null, hostTrie.root)
+        }
+      }
+      this._checkMount(target, trie.root)
+    } catch (err) {
+      this._pruneNode(target)
+      throw err
+    }
+    for (const { host, trie: hostTrie } of trie._hosts()) {
+      this._hostTrie(host)._definePrefix(prefix).use(...trie.root.middleware)
+      this._hostTrie(host).mount(prefix, hostTrie)
+    }
+    const mapped = new Map()
+    target.use(...trie.root.middleware)
+    this._mergeChildren(target, trie.root, prefix.replace(trailingSlashReg, ''), mapped)
+    // Optional patterns are linked once all of their variants exist
+    for (const [source, node] of mapped) {
+      if (source.variants !== null) {
+        this._linkVariants(node, source.variants.map(variant => mapped.get(variant)))
+      }
+    }
+    return target
+  }
+
+  // Calls `fn` with a scope whose `define`, `use` and `group` are relative to `prefix`
+  group (prefix, fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('Group callback must be a function.')
+    }
+    const join = pattern => joinPattern(prefix, pattern)
+    fn({
+      define: (pattern, options) => this.define(join(pattern), options),
+      use: (...fns) => this._definePrefix(prefix).use(...fns),
+      configure: options => this.configure(prefix, options),
+      mount: (pattern, trie) => this.mount(join(pattern), trie),
+      group: (pattern, callback) => this.group(join(pattern), callback)
+    })
+    return this
+  }
+
+  lookup (name) {
+    return this.names[name] == null ? null : this.names[name]
+  }
+
+  urlFor (name, params) {
+    const node = this.lookup(name)
+    if (node == null) {
+      throw new Error(`Route name is not defined: "${name}"`)
+    }
+    return node.url(params)
+  }
+
+  /**
+   * `context.host` selects the routes of matching host patterns first, by
+   * priority, falling back to the routes defined without a host.
+   */
+  match (path, method, context) {
+    return this._notify(path, method, this._matchHosts(path, method, context, null))
+  }
+
+  _notify (path, method, matched) {
+    const event = matched.node === null ? 'miss' : 'match'
+    if (this.listeners[event] != null) {
+      this._emit(event, { node: matched.node, pattern: matched.node === null ? '' : matched.node.pattern, method: method || '', path, matched })
+    }
+    return matched
+  }
+
+  /**
+   * Returns a `match(path, method, context)` function matching like
+   * `trie.match` with a matcher generated from the routes. The matcher is
+   * generated again on the next call after routes are defined or removed.
+   */
+  compile () {
+    return (path, method, context) => this._notify(path, method, this.hosts === null
+      ? this._matchCompiled(path, method, context)
+      : this._matchHosts(path, method, context, null, true))
+  }
+
+  /**
+   * Yields a `Matched` for every endpoint matching `path`, in the order
+   * `match` tries them, so the first one is what `match` returns.
+   */
+  * matchAll (path, method, context) {
+    for (const { trie, params } of this._hostTries(context)) {
+      for (const matched of trie._matchAll(path, method, context)) {
+        yield this._hostMatched(matched, params)
+      }
+    }
+  }
+
+  * _matchAll (path, method, context) {
+    let state = this._matchState(path, method, null, context)
+    if (state.path === null) {
+      return
+    }
+    const seen = new Set()
+    for (const found of this._matchFrom(this.root, 1, {}, state)) {
+      // With ignoreCase, the lowercased retry can reach an endpoint again
+      if (seen.has(found.node) || !this._fixedPathAllowed(state, found)) continue
+      seen.add(found.node)
+      yield this._matched(state, method, found)
+    }
+    // Then the routes without fixed path redirects, on the path as given
+    if (state.fixed !== '' && this.scoped) {
+      state = this._matchState(path, method, null, context, false)
+      for (const found of this._matchFrom(this.root, 1, {}, state)) {
+        if (seen.has(found.node)) continue
+        seen.add(found.node)
+        yield this._matched(state, method, found)
+      }
+    }
+  }
+
+  /**
+   * Matches like `match`, also returning the `steps` taken as
+   * `{ type, message, ... }`: every segment, static lookup and param
+   * candidate tried, with the reason a candidate was rejected.
+   */
+  explain (path, method, context) {
+    const steps = []
+    const matched = this._matchHosts(path, method, context, steps)
+    steps.push({ type: 'result', status: matched.status, message: `Result: ${matched.status}` })
+    return { matched, steps }
+  }
+
+  _matchHosts (path, method, context, trace, compiled = false) {
+    if (this.hosts === null) {
+      return compiled ? this._matchCompiled(path, method, context) : this._match(path, method, trace, context)
+    }
+    for (const { trie, host, params } of this._hostTries(context)) {
+      if (trace !== null && trie !== this) {
+        trace.push({ type: 'host', host, params, message: `Matching routes of host "${host}"` })
+      }
+      const matched = compiled ? trie._matchCompiled(path, method, context) : trie._match(path, method, trace, context)
+      if (trie === this || matched.status !== 'not-found') {
+        return this._hostMatched(matched, params)
+      }
+    }
+  }
+
+  // The tries to match `context.host` with: every matching host's, by priority, then this one
+  * _hostTries (context) {
+    if (context != null && context.host != null && this.hosts !== null) {
+      const seen = new Set()
+      for (const matched of this.hosts._matchAll(hostPath(context.host))) {
+        if (matched.node === null || seen.has(matched.node)) continue
+        seen.add(matched.node)
+        const params = Object.assign({}, matched.params)
+        for (const param of matched.node._params()) {
+          if (param.wildcard) {
+            params[param.name] = params[param.name].split('/').reverse().join('.')
+          }
+        }
+        yield Object.assign({ params }, this.hostTries.get(matched.node))
+      }
+    }
+    yield { host: '', trie: this, params: null }
+  }
+
+  // Host params come before path params, and the middleware of this trie before the host's
+  _hostMatched (matched, params) {
+    if (params !== null) {
+      matched.params = Object.assign({}, params, matched.params)
+      if (matched.node !== null) {
+        matched.middleware.unshift(...this.root.middleware)
+      }
+    }
+    return matched
+  }
+
+  // The trie holding the routes of `host`, sharing names and types with this one
+  _hostTrie (host) {
+    if (this.hosts === null) {
+      this.hosts = new Trie({ fixedPathRedirect: false, trailingSlashRedirect: false })
+      this.hosts.types = this.types
+    }
+    const node = this.hosts.define(hostPattern(host))
+    if (!this.hostTries.has(node)) {
+      const trie = new Trie(this._options())
+      trie.names = this.names
+      trie.types = this.types
+      trie.constraints = this.constraints
+      trie.listeners = this.listeners
+      this.hostTries.set(node, { host, trie })
+    }
+    return this.hostTries.get(node).trie
+  }
+
+  _match (path, method, trace, context) {
+    let state = this._matchState(path, method, trace, context)
+    let found = this._matchFirst(state)
+    // The route reached on the collapsed path may not allow redirecting to it
+    if (!this._fixedPathAllowed(state, found)) {
+      if (trace !== null) {
+        trace.push({ type: 'raw-path', message: 'Fixed path redirect is disabled for the route, matching the path without redirecting' })
+      }
+      state = this._matchState(path, method, trace, context, false)
+      found = this._matchFirst(state)
+    }
+    return this._matched(state, method, found)
+  }
+
+  _matchFirst (state) {
+    if (state.path === null) {
+      return null
+    }
+    // Most paths match along the first candidate of every segment
+    const straight = state.trace === null ? this._matchStraight(state) : undefined
+    if (straight !== undefined) {
+      return straight
+    }
+    for (const found of this._matchFrom(this.root, 1, {}, state)) {
+      return found
+    }
+    return null
+  }
+
+  // Whether the route found on a collapsed path, or redirected to, allows a fixed path redirect
+  _fixedPathAllowed (state, found) {
+    if (state.fixed === '') {
+      return true
+    }
+    const node = found !== null ? found.node : state.redirect !== null ? state.redirect.node : null
+    return this._setting(node, 'fixedPathRedirect')
+  }
+
+  _matchCompiled (path, method, context) {
+    // Per-node options and versions are left to `_match`
+    if (this.scoped || this.versioned) {
+      return this._match(path, method, null, context)
+    }
+    const state = this._matchState(path, method, null, context)
+    if (state.path === null) {
+      return this._matched(state, method, null)
+    }
+    const lower = this.ignoreCase ? state.path.toLowerCase() : state.path
+    // Escapes and case mappings changing the length are left to `_matchFrom`
+    if ((this.decodeParams && state.path.includes('%')) || lower.length !== state.path.length) {
+      return this._match(path, method, null, context)
+    }
+    if (this.matcher === null) {
+      this.matcher = this._generateMatcher()
+    }
+    return this._matched(state, method, this.matcher(state.path, lower, state))
+  }
+
+  _matchState (path, method, trace, context = null, fix = true) {
+    if (method != null && typeof method !== 'string') {
+      throw new TypeError('Method must be string.')
+    }
+    if (typeof path !== 'string') {
+      throw new TypeError('Path must be string.')
+    }
+    if (path === '' || path[0] !== '/') {
+      throw new Error(`Path is not start with "/": "${path}"`)
+    }
+    // Only the pathname is matched; the query string is kept for redirects
+    let search = ''
+    const hashIndex = path.indexOf('#')
+    if (hashIndex >= 0) {
+      path = path.slice(0, hashIndex)
+    }
+    const queryIndex = path.indexOf('?')
+    if (queryIndex >= 0) {
+      search = path.slice(queryIndex)
+      path = path.slice(0, queryIndex)
+    }
+    // `fixed` is why the path was changed, which makes a match a fixed path redirect.
+    // Without fixed path redirects, the normalized path is matched as it is
+    let fixed = ''
+    fix = fix && (this.fpr || this.scoped)
+    if (fix && path.includes('//')) {
+      const collapsed = path.replace(fixMultiSlashReg, '/')
+      if (collapsed !== path) {
+        path = collapsed
+        fixed = 'the path had repeated slashes'
+        if (trace !== null) {
+          trace.push({ type: 'fixed-path', path, message: `Repeated slashes collapsed to "${path}"` })
+        }
+      }
+    }
+    if (this.normalizePath) {
+      const normalized = removeDotSegments(normalizeUnicode(path))
+      if (normalized !== path) {
+        path = normalized
+        fixed = fix ? 'the path was not normalized' : fixed
+        if (trace !== null) {
+          trace.push(normalized === null
+            ? { type: 'normalize', path, message: 'Dot segments go above the root' }
+            : { type: 'normalize', path, message: `Path normalized to "${path}"` })
+        }
+      }
+    }
+    // `redirect` is the first trailing slash redirect met while matching
+    return { path, search, fixed, trace, context, redirect: null }
+  }
+
+  // The `Matched` for an endpoint yielded by `_matchFrom`, or for no match when `found` is null
+  _matched (state, method, found) {
+    const matched = new Matched()
+    if (state.search.length > 1) {
+      matched.query = new URLSearchParams(state.search)
+    }
+    if (found === null) {
+      if (state.redirect !== null) {
+        matched.tsr = state.redirect.path + state.search
+        if (state.fixed !== '') {
+          matched.fpr = matched.tsr
+          matched.tsr = ''
+        }
+        matched.status = 'redirect'
+        this._traceRedirect(state.trace, matched, state.redirect.reason)
+      }
+      return matched
+    }
+    const { node, params } = found
+    matched.params = params
+    if (state.fixed !== '') {
+      matched.fpr = state.path + state.search
+      matched.status = 'redirect'
+      this._traceRedirect(state.trace, matched, state.fixed)
+      return matched
+    }
+    matched.node = node.alias || node
+    matched.status = 'found'
+    if (state.trace !== null) {
+      state.trace.push({ type: 'endpoint', pattern: matched.node.pattern, message: `Endpoint "${matched.node.pattern}" found` })
+    }
+    for (let n = node; n !== null; n = n.parent) {
+      matched.middleware.unshift(...n.middleware)
+    }
+    // Middleware of an optional pattern's own node also covers its variants
+    if (node.alias !== null) {
+      matched.middleware.push(...node.alias.middleware)
+    }
+    if (matched.node.versions !== null) {
+      matched.node = this._resolveVersion(matched.node, state.context)
+      matched.version = matched.node.version
+      if (matched.version !== null) {
+        matched.middleware.push(...matched.node.middleware)
+      }
+      if (state.trace !== null) {
+        state.trace.push({ type: 'version', path: node.getSegments(), version: matched.version, message: `Version ${matched.version === null ? 'without number' : matched.version} resolved` })
+      }
+    }
+    if (method != null) {
+      this._matchMethod(matched, method, state.context, state.trace)
+    }
+    return matched
+  }
+
+  /**
+   * Yields `{ node, params }` for every endpoint matching `state.path` from
+   * `start`, trying the candidates of each segment in priority order and
+   * backtracking to the next one when a branch dead-ends.
+   */
+  * _matchFrom (parent, start, params, state, folded = false) {
+    const { path, trace } = state
+    const end = path.length
+    let i = path.indexOf('/', start)
+    if (i < 0) {
+      i = end
+    }
+    const raw = path.slice(start, i)
+    // Segments are split on raw "/" first, so an encoded "%2F" stays inside its segment
+    const segment = this.decodeParams ? decodeSegment(raw) : raw
+    if (segment === null) {
+      if (trace !== null) {
+        trace.push({ type: 'malformed', segment: raw, message: `Malformed escape in "${raw}"` })
+      }
+      return
+    }
+    if (trace !== null) {
+      trace.push({ type: 'segment', segment, parent: parent.getSegments(), message: `Matching "${segment}" under "${parent.getSegments() || '/'}"` })
+    }
+    let tried = false
+    for (const [node, values, candidateFolded] of this._matchCandidates(parent, segment, trace)) {
+      tried = true
+      const next = values === null ? params : Object.assign({}, params, values)
+      const caseFolded = folded || candidateFolded
+      if (node.wildcard) {
+        let rest = path.slice(start, end)
+        if (this.decodeParams && (rest = decodeSegment(rest)) === null) {
+          if (trace !== null) {
+            trace.push({ type: 'malformed', segment: path.slice(start, end), message: `Malformed escape in "${path.slice(start, end)}"` })
+          }
+          continue
+        }
+        next[node.name] = rest
+        if (trace !== null) {
+          trace.push({ type: 'wildcard', name: node.name, value: rest, message: `Wildcard "${node.name}" captures "${rest}"` })
+        }
+        if (node.endpoint && this._caseAllowed(node, caseFolded, trace) && this._versionAllowed(node, state)) {
+          yield { node, params: next }
+        } else if (!node.endpoint) {
+          this._traceMiss(trace, node)
+        }
+      } else if (i < end) {
+        yield * this._matchFrom(node, i + 1, next, state, caseFolded)
+        if (trace !== null) {
+          trace.push({ type: 'backtrack', path: node.getSegments(), message: `Backtracking from "${node.getSegments()}"` })
+        }
+      } else if (node.endpoint) {
+        if (this._caseAllowed(node, caseFolded, trace) && this._versionAllowed(node, state)) {
+          yield { node, params: next }
+        }
+      } else {
+        const slash = node.children['']
+        if (slash != null && state.redirect === null && this._setting(slash, 'trailingSlashRedirect') &&
+          this._caseAllowed(slash, caseFolded, trace)) {
+          state.redirect = { path: path + '/', reason: 'only the path with a trailing slash is defined', node: slash }
+        }
+        this._traceMiss(trace, node)
+      }
+    }
+    if (!tried && segment === '' && i === end && parent.endpoint && state.redirect === null &&
+      this._setting(parent, 'trailingSlashRedirect') && this._caseAllowed(parent, folded, trace)) {
+      state.redirect = { path: path.slice(0, end - 1) || '/', reason: 'the trailing slash is not defined', node: parent }
+    }
+  }
+
+  /**
+   * Follows the first candidate of every segment, which is what `_matchFrom`
+   * yields first when it doesn't dead-end. Returns undefined at a dead end,
+   * leaving backtracking and trailing slash redirects to `_matchFrom`.
+   */
+  _matchStraight (state) {
+    const { path } = state
+    const end = path.length
+    const params = {}
+    let parent = this.root
+    let folded = false
+    let start = 1
+    while (true) {
+      let i = path.indexOf('/', start)
+      if (i < 0) {
+        i = end
+      }
+      const raw = path.slice(start, i)
+      const segment = this.decodeParams ? decodeSegment(raw) : raw
+      // The first candidate `_matchFrom` would try
+      const candidate = segment === null ? undefined : this._matchCandidates(parent, segment, null).next().value
+      if (candidate === undefined) {
+        return undefined
+      }
+      const [node, values, candidateFolded] = candidate
+      if (values !== null) {
+        Object.assign(params, values)
+      }
+      folded = folded || candidateFolded
+      if (node.wildcard) {
+        const rest = this.decodeParams ? decodeSegment(path.slice(start, end)) : path.slice(start, end)
+        if (rest === null) {
+          return undefined
+        }
+        params[node.name] = rest
+      } else if (i < end) {
+        parent = node
+        start = i + 1
+        continue
+      }
+      return node.endpoint && this._caseAllowed(node, folded, null) && this._versionAllowed(node, state)
+        ? { node, params }
+        : undefined
+    }
+  }
+
+  // A route reached case-insensitively is only matched when its nearest `ignoreCase` allows it
+  _caseAllowed (node, folded, trace) {
+    if (!folded || this._setting(node, 'ignoreCase')) {
+      return true
+    }
+    if (trace !== null) {
+      trace.push({ type: 'case', path: node.getSegments(), message: `"${node.getSegments() || '/'}" is case-sensitive` })
+    }
+    return false
+  }
+
+  // A versioned route is only matched when it has a version at or below the requested one
+  _versionAllowed (node, state) {
+    const route = node.alias || node
+    if (route.versions === null || this._resolveVersion(route, state.context) !== null) {
+      return true
+    }
+    if (state.trace !== null) {
+      state.trace.push({ type: 'version', path: node.getSegments(), version: null, message: `No version of "${route.pattern}" at or below ${state.context.version}` })
+    }
+    return false
+  }
+
+  _traceMiss (trace, node) {
+    if (trace !== null) {
+      trace.push({ type: 'no-endpoint', path: node.getSegments(), message: `"${node.getSegments() || '/'}" is not an endpoint` })
+    }
+  }
+
+  _traceRedirect (trace, matched, reason) {
+    if (trace === null) {
+      return
+    }
+    const type = matched.fpr !== '' ? 'fpr' : 'tsr'
+    trace.push({ type, path: matched[type], message: `Redirect (${type}) to "${matched[type]}": ${reason}` })
+  }
+
+  build (pattern, params) {
+    if (typeof pattern !== 'string') {
+      throw new TypeError('Pattern must be string.')
+    }
+    const node = this._findRoute(pattern)
+    if (node == null) {
+      throw new Error(`Pattern is not defined: "${pattern}"`)
+    }
+    return node.url(params)
+  }
+
+  /**
+   * Dispatches a Fetch API `Request` to the handler mounted for its method,
+   * called as `handler(request, params, matched)`, and resolves to its
+   * `Response`, or to a redirect, 405, OPTIONS or 404 response.
+   */
+  async fetch (request, options = {}) {
+    const url = new URL(request.url)
+    const matched = this.match(url.pathname + url.search, request.method, { host: url.host, headers: request.headers, request })
+    switch (matched.status) {
+      case 'found': {
+        // Middleware is called as `fn(request, params, next)`, `next()` resolves to the response
+        const dispatch = async (i) => i < matched.middleware.length
+          ? matched.middleware[i](request, matched.params, () => dispatch(i + 1))
+          : matched.handler(request, matched.params, matched)
+        return dispatch(0)
+      }
+      case 'redirect':
+        return Response.redirect(new URL(matched.fpr || matched.tsr, url).href, redirectStatus(request.method, options))
+      case 'options':
+        return new Response(null, { status: 204, headers: { Allow: matched.allow } })
+      case 'method-not-allowed':
+        return new Response(null, { status: 405, headers: { Allow: matched.allow } })
+      case 'constraint-failed':
+        return new Response(null, { status: matched.constraint === 'accept' ? 406 : 404 })
+      default:
+        return new Response(null, { status: 404 })
+    }
+  }
+
+  remove (path, options = {}) {
+    if (options.host != null) {
+      const node = this.hosts === null ? null : this.hosts._findRoute(hostPattern(options.host))
+      return node === null
+        ? { node: null, pruned: [] }
+        : this.hostTries.get(node).trie.remove(path, { version: options.version })
+    }
+    if (typeof path !== 'string') {
+      throw new TypeError('Path must be a string.')
+    }
+    if (path === '' || path[0] !== '/') {
+      throw new Error(`Path must start with "/": "${path}"`)
+    }
+    const node = this._findRoute(path)
+    if (!node || !node.endpoint) {
+      return { node: null, pruned: [] }
+    }
+    this.matcher = null
+    if (options.version != null) {
+      const version = node.versions === null ? null : node.versions.find(n => n.version === options.version)
+      if (version == null) {
+        return { node: null, pruned: [] }
+      }
+      node.versions.splice(node.versions.indexOf(version), 1)
+      this._unnameNode(version)
+      // The route goes with its last version, unless it is also defined without one
+      if (node.versions.length > 0) {
+        if (node.versions[0] === node && node.versions.length === 1) {
+          node.versions = null
+        }
+        return this._removed(version, node.pattern, [])
+      }
+    }
+    // Removing a route removes all its versions
+    for (const n of node.versions || [node]) {
+      this._unnameNode(n)
+    }
+    node.versions = null
+    // Removing any variant of an optional pattern removes the whole route
+    const pattern = node.pattern
+    const nodes = node.variants || [node]
+    for (const n of nodes) {
+      n.endpoint = false
+      n.handlers = Object.create(null)
+      n.constrained = Object.create(null)
+      n.meta = Object.create(null)
+      n.allow = ''
+      n.pattern = ''
+      n.alias = null
+      n.variants = null
+    }
+    const pruned = []
+    for (const n of nodes) {
+      pruned.push(...this._pruneNode(n))
+    }
+    return this._removed(node, pattern, pruned)
+  }
+
+  _removed (node, pattern, pruned) {
+    this._emit('remove', { node, pattern, method: '', pruned })
+    return { node, pruned }
+  }
+
+  /**
+   * Yields a descriptor for every endpoint, depth first, in match order:
+   * static children before `varyChildren`, the latter by priority, and
+   * routes of host patterns before the others.
+   */
+  * [Symbol.iterator] () {
+    for (const { host, trie } of this._hosts()) {
+      for (const route of trie) {
+        yield Object.assign(route, { host })
+      }
+    }
+    for (const { node } of this._walk(this.root, 0)) {
+      // Variants of an optional pattern are described by their route
+      if (!node.endpoint || node.alias !== null) continue
+      const variants = node.variants || [node]
+      const params = node._params().map(param => Object.assign(param, {
+        optional: !variants.every(variant => variant._params().some(p => p.name === param.name))
+      }))
+      for (const route of node.versions || [node]) {
+        yield {
+          node: route,
+          host: '',
+          pattern: node.pattern,
+          name: route.routeName,
+          allow: route.getAllow(),
+          methods: route.allow === '' ? [] : route.allow.split(', '),
+          params,
+          version: route.version
+        }
+      }
+    }
+  }
+
+  routes () {
+    return Array.from(this)
+  }
+
+  // `{ host, trie }` of every host pattern, by priority
+  * _hosts () {
+    if (this.hosts === null) {
+      return
+    }
+    for (const { node } of this.hosts._walk(this.hosts.root, 0)) {
+      if (this.hostTries.has(node)) {
+        yield this.hostTries.get(node)
+      }
+    }
+  }
+
+  /**
+   * Reports definitions that can never match, ambiguous suffixes and
+   * unanchored regexps, as `{ code, severity, message, path, pattern }`.
+   */
+  analyze () {
+    const diagnostics = []
+    const report = (code, severity, node, message) => {
+      const route = node.alias || node
+      diagnostics.push({ code, severity, message, path: node.getSegments(), pattern: route.pattern, host: '' })
+    }
+    for (const { host, trie } of this._hosts()) {
+      for (const diagnostic of trie.analyze()) {
+        diagnostics.push(Object.assign(diagnostic, { host }))
+      }
+    }
+    for (const { node } of this._walk(this.root, 0)) {
+      const siblings = node.parent === null ? [] : node.parent.varyChildren
+      const index = siblings.indexOf(node)
+      for (const other of siblings.slice(0, Math.max(index, 0))) {
+        // Deeper routes are still reached by backtracking when the earlier branch dead-ends
+        if (node.endpoint && other.endpoint && (other.alias || other).versions === null && shadows(other, node)) {
+          report('shadowed', 'error', node,
+            `"${node.getSegments()}" can never match, "${node.segment}" is always matched by "${other.segment}" first`)
+        } else if (other.suffix !== '' && node.suffix !== '' && other.suffix !== node.suffix &&
+          (other.suffix.endsWith(node.suffix) || node.suffix.endsWith(other.suffix))) {
+          report('ambiguous-suffix', 'warning', node,
+            `Suffixes "${other.suffix}" of "${other.segment}" and "${node.suffix}" of "${node.segment}" overlap`)
+        }
+      }
+      if (node.regex !== null && node.type === null && node.parts === null &&
+        (node.regex.source[0] !== '^' || !/(^|[^\\])\$$/.test(node.regex.source))) {
+        report('unanchored-regex', 'warning', node,
+          `Regexp ${node.regex} of "${node.getSegments()}" is not anchored with "^" and "$"`)
+      }
+      if (this.ignoreCase && node.endpoint && node.alias === null && node.variants === null) {
+        this._analyzeCase(node, report)
+      }
+    }
+    return diagnostics
+  }
+
+  // Static segments of the pattern folded into a node defined with other casing
+  _analyzeCase (endpoint, report) {
+    const segments = endpoint.pattern.replace(trimSlashReg, '').split('/')
+    let node = endpoint
+    for (let i = segments.length - 1; i >= 0 && node.parent !== null; i--, node = node.parent) {
+      const segment = segments[i]
+      if (node.name === '' && node.parts === null && node.segment !== segment && !doubleColonReg.test(segment)) {
+        report('case-folded', 'warning', endpoint,
+          `Segment "${segment}" of "${endpoint.pattern}" is folded into "${node.segment}" by ignoreCase`)
+      }
+    }
+  }
+
+  toString () {
+    const lines = []
+    for (const { node, depth } of this._walk(this.root, 0)) {
+      if (node === this.root) {
+        lines.push('/')
+        continue
+      }
+      let line = '  '.repeat(depth) + (node.segment === '' ? '/' : node.segment) + ` (${node.priority})`
+      if (node.endpoint) {
+        const route = node.alias || node
+        line += ` => ${route.pattern}`
+        if (route.allow !== '') {
+          line += ` [${route.allow}]`
+        }
+        for (const version of route.versions || []) {
+          if (version.version !== null) {
+            line += ` v${version.version}` + (version.allow === '' ? '' : ` [${version.allow}]`)
+          }
+        }
+      }
+      lines.push(line)
+    }
+    for (const { host, trie } of this._hosts()) {
+      lines.push(`@ ${host}`)
+      lines.push(...trie.toString().split('\n').map(line => '  ' + line))
+    }
+    return lines.join('\n')
+  }
+
+  print (write = console.log) {
+    write(this.toString())
+  }
+
+  /**
+   * Captures the node graph and options as plain JSON data. Handlers are
+   * recorded by method only, see `Trie.fromJSON`.
+   */
+  toJSON () {
+    const data = {
+      options: this._options(),
+      root: this._nodeToJSON(this.root)
+    }
+    if (this.hosts !== null) {
+      data.hosts = Array.from(this._hosts(), ({ host, trie }) => ({ host, root: trie._nodeToJSON(trie.root) }))
+    }
+    return data
+  }
+
+  _options () {
+    return {
+      ignoreCase: this.ignoreCase,
+      fixedPathRedirect: this.fpr,
+      trailingSlashRedirect: this.tsr,
+      decodeParams: this.decodeParams,
+      normalizePath: this.normalizePath,
+      strict: this.strict,
+      autoHead: this.autoHead,
+      autoOptions: this.autoOptions
+    }
+  }
+
+  static fromJSON (data, handlerResolver, types = {}) {
+    if (typeof data === 'string') {
+      data = JSON.parse(data)
+    }
+    if (data == null || data.root == null) {
+      throw new TypeError('Invalid trie data.')
+    }
+    if (handlerResolver != null && typeof handlerResolver !== 'function') {
+      throw new TypeError('Handler resolver must be a function.')
+    }
+    const trie = new Trie(data.options)
+    for (const name of Object.keys(types)) {
+      trie.registerType(name, types[name])
+    }
+    trie._rootFromJSON(data.root, handlerResolver)
+    for (const { host, root } of data.hosts || []) {
+      trie._hostTrie(host)._rootFromJSON(root, handlerResolver)
+    }
+    return trie
+  }
+
+  /**
+   * Describes the routes defined without a host as an OpenAPI 3 `paths`
+   * object. Each variant of an optional pattern is a path of its own, and
+   * every method but `ANY` an operation holding the metadata of `handle`.
+   */
+  toOpenAPI () {
+    // Each route once, as defined without a version, else its latest version
+    const routes = new Map()
+    for (const route of this.routes()) {
+      if (route.host !== '') continue
+      const other = routes.get(route.pattern)
+      if (other === undefined || (other.version !== null && (route.version === null || route.version > other.version))) {
+        routes.set(route.pattern, route)
+      }
+    }
+    const paths = {}
+    // The pattern each template was exported for
+    const patterns = Object.create(null)
+    for (const route of routes.values()) {
+      for (const node of route.node.variants || [route.node]) {
+        const { template, parameters } = this._openAPIPath(node)
+        // Params of different routes can't share a template, ex, ":id" and ":id(^\\d+$)"
+        if (patterns[template] !== undefined) {
+          throw new Error(`Pattern "${route.pattern}" conflicts with "${patterns[template]}" as OpenAPI path "${template}"`)
+        }
+        patterns[template] = route.pattern
+        const item = paths[template] = {}
+        if (parameters.length > 0) {
+          item.parameters = parameters
+        }
+        for (const method of route.methods) {
+          const key = method.toLowerCase()
+          if (!openAPIMethods.includes(key)) continue
+          item[key] = Object.assign({ responses: { default: { description: 'Default response' } } }, route.node.meta[method])
+        }
+      }
+    }
+    return paths
+  }
+
+  _openAPIPath (node) {
+    const segments = []
+    const parameters = []
+    for (; node.parent !== null; node = node.parent) {
+      const params = []
+      const param = (name, schema) => {
+        params.push({ name, in: 'path', required: true, schema })
+        return `{${name}}`
+      }
+      let segment
+      if (node.parts !== null) {
+        segment = node.parts.map(part => typeof part === 'string'
+          ? part
+          : param(part.name, paramSchema(part.source, part.type))).join('')
+      } else if (node.name !== '') {
+        const schema = paramSchema(node.regex === null ? null : node.regex.source, node.type)
+        if (node.wildcard) {
+          schema['x-catch-all'] = true
+        }
+        segment = param(node.name, schema) + node.suffix
+      } else {
+        segment = doubleColonReg.test(node.segment) ? node.segment.slice(1) : node.segment
+      }
+      segments.unshift(segment)
+      parameters.unshift(...params)
+    }
+    return { template: '/' + segments.join('/'), parameters }
+  }
+
+  /**
+   * Defines a trie from an OpenAPI 3 `paths` object, or a document with
+   * `paths`. `handlerResolver(node, method, operation)` gives the handler of
+   * every operation, which is kept as the method's metadata.
+   */
+  static fromOpenAPI (paths, handlerResolver, options) {
+    if (paths != null && paths.paths != null) {
+      paths = paths.paths
+    }
+    if (paths == null || typeof paths !== 'object') {
+      throw new TypeError('Invalid OpenAPI paths.')
+    }
+    if (handlerResolver != null && typeof handlerResolver !== 'function') {
+      throw new TypeError('Handler resolver must be a function.')
+    }
+    const trie = new Trie(options)
+    for (const template of Object.keys(paths)) {
+      const item = paths[template]
+      const methods = openAPIMethods.filter(method => item[method] != null)
+      if (methods.length > 0 && handlerResolver == null) {
+        throw new TypeError(`Handler resolver is required for "${template}"`)
+      }
+      // Operation params override the params of the path
+      const schemas = {}
+      for (const parameters of [item.parameters, ...methods.map(method => item[method].parameters)]) {
+        for (const parameter of parameters || []) {
+          if (parameter.in === 'path') {
+            schemas[parameter.name] = parameter.schema
+          }
+        }
+      }
+      const node = trie.define(templatePattern(template, schemas))
+      for (const method of methods) {
+        const operation = item[method]
+        node.handle(method.toUpperCase(), handlerResolver(node, method.toUpperCase(), operation), { meta: operation })
+      }
+    }
+    return trie
+  }
+
+  _rootFromJSON (data, handlerResolver) {
+    this.matcher = null
+    this.root = this._nodeFromJSON(data, null, handlerResolver)
+    this.root.trie = this
+    for (const { node } of this._walk(this.root, 0)) {
+      if (node.variants !== null) {
+        this._linkVariants(node, node.variants.map(path => this._findNode(path)))
+      }
+    }
+  }
+
+  _definePattern (pattern, strict) {
+    const node = this._defineNode(this.root, pattern.replace(trimSlashReg, '').split('/'), strict)
+    if (node.alias !== null) {
+      throw new Error(`Pattern "${pattern}" conflicts with "${node.alias.pattern}"`)
+    }
+    if (node.pattern === '') {
+      node.pattern = pattern
+    }
+    return node
+  }
+
+  _defineOptional (pattern, variants, strict) {
+    // Conflicts are checked before any variant becomes an endpoint
+    const defined = variants.map(variant => {
+      if (variant.includes('//')) {
+        throw new Error('Multi-slash exists.')
+      }
+      const node = this._findNode(variant)
+      const owner = node === null ? null : node.alias || (node.pattern === '' ? null : node)
+      if (owner !== null && owner.pattern !== pattern) {
+        throw new Error(`Pattern "${pattern}" conflicts with "${owner.pattern}"`)
+      }
+      return node !== null && node.endpoint
+    })
+    const nodes = []
+    try {
+      for (const variant of variants) {
+        nodes.push(this._defineNode(this.root, variant.replace(trimSlashReg, '').split('/'), strict))
+      }
+    } catch (err) {
+      // A variant failing to parse undoes the ones defined before it
+      nodes.forEach((node, i) => {
+        if (!defined[i]) {
+          node.endpoint = false
+          this._pruneNode(node)
+        }
+      })
+      throw err
+    }
+    nodes[0].pattern = pattern
+    this._linkVariants(nodes[0], nodes)
+    return nodes[0]
+  }
+
+  _linkVariants (node, variants) {
+    node.variants = Array.from(new Set(variants))
+    for (const version of node.versions || []) {
+      version.variants = node.variants
+    }
+    for (const variant of node.variants) {
+      if (variant !== node) {
+        variant.alias = node
+      }
+    }
+  }
+
+  // The node for `prefix`, defined without making it an endpoint
+  _definePrefix (prefix) {
+    if (typeof prefix !== 'string') {
+      throw new TypeError('Prefix must be string.')
+    }
+    if (prefix.includes('//') || expandOptional(prefix) !== null) {
+      throw new Error(`Invalid prefix: "${prefix}"`)
+    }
+    const path = prefix.replace(trimSlashReg, '').replace(trailingSlashReg, '')
+    this.matcher = null
+    let node = this.root
+    for (const segment of path === '' ? [] : path.split('/')) {
+      if (node.wildcard) {
+        throw new Error(`Can not define pattern after wildcard: "${node.getSegments()}"`)
+      }
+      node = this._parseNode(node, segment)
+      node.segment = segment
+    }
+    return node
+  }
+
+  _mergeChildren (target, source, prefix, mapped) {
+    for (const key of Object.keys(source.children)) {
+      const child = source.children[key]
+      // The mounted "/" route is the prefix itself
+      if (key === '' && source.parent === null && target !== this.root) {
+        this._mergeNode(target, child, prefix, mapped)
+        continue
+      }
+      let node
+      if (key === '' && target === this.root) {
+        node = target.children[''] || (target.children[''] = new Node(target))
+      } else {
+        node = this._parseNode(target, child.segment)
+      }
+      node.segment = child.segment
+      this._mergeNode(node, child, prefix, mapped)
+    }
+    for (const child of source.varyChildren) {
+      if (target.wildcard) {
+        throw new Error(`Can not define pattern after wildcard: "${target.getSegments()}"`)
+      }
+      let node = child.parts !== null ? this._compoundNode(target, child.parts) : new Node(target)
+      if (child.parts === null) {
+        for (const field of ['name', 'priority', 'suffix', 'regex', 'type', 'wildcard']) {
+          node[field] = child[field]
+        }
+      }
+      // Shares the conflict checks of defined params
+      node = this._addVaryChild(target, node)
+      node.segment = child.segment
+      this._mergeNode(node, child, prefix, mapped)
+    }
+  }
+
+  // Throws what `_mergeChildren` would throw for `source`, without changing
+  // the trie. `target` is null below the nodes not defined yet
+  _checkMount (target, source) {
+    if (source.endpoint && target !== null && target.endpoint) {
+      throw new Error(`Can not mount "${source.getSegments()}", "${target.getSegments()}" is already defined`)
+    }
+    if (source.endpoint && source.alias === null) {
+      for (const node of new Set([source].concat(source.versions || []))) {
+        if (node.routeName !== '' && this.names[node.routeName] != null) {
+          throw new Error(`Route name "${node.routeName}" already defined`)
+        }
+        for (const method of Object.keys(node.constrained)) {
+          for (const { constraints } of node.constrained[method]) {
+            const name = Object.keys(constraints).find(name => this.constraints[name] == null)
+            if (name !== undefined) {
+              throw new Error(`Constraint "${name}" is not registered`)
+            }
+          }
+        }
+      }
+    }
+    for (const key of Object.keys(source.children)) {
+      const child = source.children[key]
+      if (key === '' && source.parent === null && target !== this.root) {
+        this._checkMount(target, child)
+      } else if (target === null) {
+        this._checkMount(null, child)
+      } else {
+        this._checkMount(target.children[key === '' ? '' : this._getSegmentKey(child.segment)] || null, child)
+      }
+    }
+    for (const child of source.varyChildren) {
+      if (target === null) {
+        this._checkMount(null, child)
+        continue
+      }
+      if (target.wildcard) {
+        throw new Error(`Can not define pattern after wildcard: "${target.getSegments()}"`)
+      }
+      const node = child.parts !== null ? this._compoundNode(target, child.parts) : new Node(target)
+      if (child.parts === null) {
+        for (const field of ['name', 'priority', 'suffix', 'regex', 'type', 'wildcard']) {
+          node[field] = child[field]
+        }
+      }
+      this._checkMount(this._findVaryChild(target, node), child)
     }
   }
 
-  getHandler (method) {
-    return this.handlers[method] == null ? null : this.handlers[method]
+  // The existing trie of `host`, or null
+  _findHostTrie (host) {
+    const node = this.hosts === null ? null : this.hosts._findNode(hostPattern(host))
+    return node !== null && this.hostTries.has(node) ? this.hostTries.get(node).trie : null
   }
 
-  getAllow () {
-    return this.allow
+  _mergeNode (node, source, prefix, mapped) {
+    node.use(...source.middleware)
+    if (source.options !== null) {
+      this._configureNode(node, source.options)
+    }
+    this._mergeRoute(node, source, prefix, mapped)
+    this._mergeChildren(node, source, prefix, mapped)
   }
 
-  getPattern () {
-    return this.pattern
+  _mergeRoute (node, source, prefix, mapped) {
+    if (!source.endpoint) {
+      return
+    }
+    if (node.endpoint) {
+      throw new Error(`Can not mount "${source.getSegments()}", "${node.getSegments()}" is already defined`)
+    }
+    mapped.set(source, node)
+    node.endpoint = true
+    if (source.alias === null) {
+      node.pattern = joinPattern(prefix, source.pattern)
+      this._emit('define', { node, pattern: node.pattern, method: '' })
+      this._mergeHandlers(node, source)
+      if (source.versions !== null) {
+        node.versions = source.versions.includes(source) ? [node] : []
+        for (const version of source.versions) {
+          if (version === source) continue
+          const copy = this._versionNode(node, version.version)
+          this._emit('define', { node: copy, pattern: node.pattern, method: '' })
+          copy.use(...version.middleware)
+          this._mergeHandlers(copy, version)
+        }
+      }
+    }
   }
 
-  getSegments () {
-    if (this.parent === null) { // This is the root node
-        return this.segment;
+  _mergeHandlers (node, source) {
+    for (const method of Object.keys(source.handlers)) {
+      node.handle(method, source.handlers[method])
+    }
+    for (const method of Object.keys(source.constrained)) {
+      for (const { constraints, handler } of source.constrained[method]) {
+        node.handle(method, handler, { constraints })
+      }
+    }
+    for (const method of Object.keys(source.meta)) {
+      node.meta[method] = Object.assign({}, source.meta[method])
+    }
+    if (source.routeName !== '') {
+      this._nameNode(node, source.routeName)
     }
-    const parentSegments = this.parent.getSegments();
-    // Avoid double slash
-    return parentSegments === '/' ? parentSegments + this.segment : parentSegments + '/' + this.segment;
   }
-}
 
-/**
- * The main Trie class for routing.
- */
-class Trie {
-  static NAME = 'Trie'
-  static VERSION = 'v3.0.0'
-
-  constructor (options = {}) {
-    this.ignoreCase = options.ignoreCase !== false
-    this.fpr = options.fixedPathRedirect !== false
-    this.tsr = options.trailingSlashRedirect !== false
-    this.root = new Node(null)
-    this.root.segment = '/' // Give root a segment for correct path building
+  _findRoute (pattern) {
+    const variants = expandOptional(pattern)
+    const node = this._findNode(variants === null ? pattern : variants[0])
+    return node === null ? null : node.alias || node
   }
 
-  define (pattern) {
-    if (typeof pattern !== 'string') {
-      throw new TypeError('Pattern must be string.')
-    }
-    if (pattern.includes('//')) {
-      throw new Error('Multi-slash exists.')
+  _matchMethod (matched, method, context, trace) {
+    const node = matched.node
+    const has = m => node.handlers[m] != null || node.constrained[m] != null
+    const methods = node.allow === '' ? [] : node.allow.split(', ').filter(m => m !== 'ANY')
+    if (this.autoHead && has('GET') && !has('HEAD')) {
+      methods.push('HEAD')
     }
-
-    const _pattern = pattern.replace(trimSlashReg, '')
-    const node = this._defineNode(this.root, _pattern.split('/'))
-    if (node.pattern === '') {
-      node.pattern = pattern
+    if (this.autoOptions && !has('OPTIONS')) {
+      methods.push('OPTIONS')
     }
-    return node
-  }
+    matched.allow = methods.join(', ')
 
-  match (path) {
-    if (typeof path !== 'string') {
-      throw new TypeError('Path must be string.')
+    let handler = this._selectHandler(matched, method, context, trace)
+    if (handler === null && method === 'HEAD' && this.autoHead && !has('HEAD')) {
+      handler = this._selectHandler(matched, 'GET', context, trace)
     }
-    if (path === '' || path[0] !== '/') {
-      throw new Error(`Path is not start with "/": "${path}"`)
+    if (handler === null) {
+      handler = this._selectHandler(matched, 'ANY', context, trace)
     }
-    let fixedLen = path.length
-    if (this.fpr) {
-      path = path.replace(fixMultiSlashReg, '/')
-      fixedLen -= path.length
+    if (handler !== null) {
+      matched.handler = handler
+      matched.constraint = ''
+    } else if (method === 'OPTIONS' && this.autoOptions) {
+      matched.status = 'options'
+    } else {
+      matched.status = matched.constraint !== '' ? 'constraint-failed' : 'method-not-allowed'
     }
+  }
 
-    let start = 1
-    let parent = this.root
-    const end = path.length
-    const matched = new Matched()
-
-    for (let i = 1; i <= end; i++) {
-      if (i < end && path[i] !== '/') {
-        continue
+  // The first handler for `method` whose constraints `context` meets, else the one without constraints
+  _selectHandler (matched, method, context, trace) {
+    const node = matched.node
+    for (const { constraints, handler } of node.constrained[method] || []) {
+      const failed = Object.keys(constraints).find(name => !this._meetsConstraint(name, constraints[name], context))
+      if (failed === undefined) {
+        return handler
       }
-      let segment = path.slice(start, i)
-      let node = this._matchNode(parent, segment)
-      if (this.ignoreCase && node == null) {
-        node = this._matchNode(parent, segment.toLowerCase())
-      }
-      if (node == null) {
-        if (this.tsr && segment === '' && i === end && parent.endpoint) {
-          const newPath = path.slice(0, end - 1) || '/';
-          matched.tsr = newPath;
-          if (this.fpr && fixedLen > 0) {
-            matched.fpr = matched.tsr
-            matched.tsr = ''
-          }
-        }
-        return matched
+      if (matched.constraint === '') {
+        matched.constraint = failed
       }
-      parent = node
-      if (parent.name !== '') {
-        if (parent.wildcard) {
-          matched.params[parent.name] = path.slice(start, end)
-          break
-        } else {
-          if (parent.suffix !== '') {
-            segment = segment.slice(0, segment.length - parent.suffix.length)
-          }
-          matched.params[parent.name] = segment
-        }
+      if (trace !== null) {
+        trace.push({ type: 'constraint', method, name: failed, value: constraints[failed], message: `"${method}" handler skipped: constraint ${failed} "${constraints[failed]}" not met` })
       }
-      start = i + 1
     }
+    return node.handlers[method] == null ? null : node.handlers[method]
+  }
 
-    if (parent.endpoint) {
-      matched.node = parent
-      if (this.fpr && fixedLen > 0) {
-        matched.fpr = path
-        matched.node = null
-      }
-    } else if (this.tsr && parent.children[''] != null) {
-      matched.tsr = path + '/'
-      if (this.fpr && fixedLen > 0) {
-        matched.fpr = matched.tsr
-        matched.tsr = ''
-      }
+  _meetsConstraint (name, value, context) {
+    const match = this.constraints[name]
+    if (match == null) {
+      throw new Error(`Constraint "${name}" is not registered`)
     }
-    return matched
+    return Boolean(match(value, context == null ? {} : context))
   }
 
-  remove (path) {
-    if (typeof path !== 'string') {
-      throw new TypeError('Path must be a string.')
+  _unnameNode (node) {
+    if (node.routeName !== '') {
+      delete this.names[node.routeName]
+      node.routeName = ''
     }
-    if (path === '' || path[0] !== '/') {
-      throw new Error(`Path must start with "/": "${path}"`)
+  }
+
+  _nameNode (node, name) {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError('Route name must be a non-empty string.')
     }
-    const node = this._findNode(path)
-    if (!node) {
+    if (this.names[name] === node) {
       return
     }
-    node.endpoint = false
-    node.handlers = Object.create(null)
-    node.allow = ''
-    this._pruneNode(node)
+    if (this.names[name] != null) {
+      throw new Error(`Route name "${name}" already defined`)
+    }
+    if (node.routeName !== '') {
+      throw new Error(`"${node.getSegments()}" is already named "${node.routeName}"`)
+    }
+    this.names[name] = node
+    node.routeName = name
   }
 
   _getSegmentKey (segment) {
@@ -208,7 +2214,7 @@ class Trie {
     return key
   }
 
-  _defineNode (parent, segments) {
+  _defineNode (parent, segments, strict = false) {
     const segment = segments.shift()
     if (segment === undefined) return parent;
 
@@ -222,10 +2228,13 @@ class Trie {
             parent.children[''].endpoint = true;
             return parent.children[''];
         }
-        return this._defineNode(parent, segments);
+        return this._defineNode(parent, segments, strict);
     }
     
     const child = this._parseNode(parent, segment)
+    if (strict) {
+      this._checkStrict(child, segment)
+    }
     child.segment = segment
     if (segments.length === 0) {
       child.endpoint = true
@@ -234,26 +2243,156 @@ class Trie {
     if (child.wildcard) {
       throw new Error(`Can not define pattern after wildcard: "${child.getSegments()}"`)
     }
-    return this._defineNode(child, segments)
+    return this._defineNode(child, segments, strict)
+  }
+
+  // Rejects the syntax a lenient define keeps as static text or ignores, ex, "a(b" or ":name+"
+  _checkStrict (node, segment) {
+    const literal = node.name === '' && node.parts === null && !doubleColonReg.test(segment)
+    if ((literal && /[()<>*]/.test(segment)) || (!literal && node.suffix === '' && segment.endsWith('+'))) {
+      const previous = node.segment
+      node.segment = segment
+      const path = node.getSegments()
+      // A node defined before keeps its segment, a new one is removed
+      if (previous === '') {
+        this._pruneNode(node)
+      } else {
+        node.segment = previous
+      }
+      throw new Error(`Invalid pattern: "${path}"`)
+    }
   }
 
-  _matchNode (parent, segment) {
-    const key = this.ignoreCase ? segment.toLowerCase() : segment
-    if (parent.children[key] != null) {
-      return parent.children[key]
+  // Yields `[node, values, folded]` for the children of `parent` accepting
+  // `segment`: the static child, params by priority, then with ignoreCase,
+  // params accepting the lowercased segment. `folded` is set when the
+  // segment matched only case-insensitively
+  * _matchCandidates (parent, segment, trace) {
+    const lower = segment.toLowerCase()
+    const key = this.ignoreCase ? lower : segment
+    const child = parent.children[key]
+    if (child != null) {
+      if (trace !== null) {
+        trace.push({ type: 'static', key, found: true, message: `Static child "${key}" found` })
+      }
+      const text = doubleColonReg.test(child.segment) ? child.segment.slice(1) : child.segment
+      yield [child, null, this.scoped && text !== segment]
+    } else if (trace !== null) {
+      trace.push({ type: 'static', key, found: false, message: `No static child "${key}"` })
+    }
+    // A case-sensitive trie may have case-insensitive routes, which the endpoint decides
+    if (this.scoped && !this.ignoreCase) {
+      for (const other of Object.keys(parent.children)) {
+        if (other !== key && other.toLowerCase() === lower) {
+          yield [parent.children[other], null, true]
+        }
+      }
+    }
+    yield * this._matchParams(parent, segment, trace)
+    // Params keep their casing, so case mappings changing the length are not retried
+    if (lower !== segment && lower.length === segment.length && (this.ignoreCase || this.scoped)) {
+      if (trace !== null) {
+        trace.push({ type: 'retry', segment: lower, message: `Retrying case-insensitively as "${lower}"` })
+      }
+      for (const [child, values] of this._matchParams(parent, lower, trace, segment)) {
+        yield [child, values, true]
+      }
     }
+  }
+
+  * _matchParams (parent, segment, trace, original = segment) {
     for (const child of parent.varyChildren) {
-      let _segment = segment
-      if (child.suffix !== '') {
-        if (segment === child.suffix || !segment.endsWith(child.suffix)) {
+      const accepted = this._acceptParams(child, segment, trace, original)
+      if (accepted !== null) {
+        yield [child, accepted[0], accepted[1]]
+      }
+    }
+  }
+
+  // `[values, folded]` when the param node `child` accepts `segment`, or null
+  _acceptParams (child, segment, trace, original = segment) {
+    // Multi-param segments fold their literal text on the first pass
+    if (child.parts !== null && original !== segment) {
+      return null
+    }
+    // Only a catch-all param can be empty, "/a/" is left to trailing slash redirect
+    if (segment === '' && !child.wildcard) {
+      return this._rejectParams(trace, child, 'empty', () => 'the segment is empty')
+    }
+    const accepted = child.parts !== null
+      ? this._captureCompound(child, segment, trace)
+      : [this._captureParams(child, segment, trace, original), false]
+    if (accepted[0] === null) {
+      return null
+    }
+    if (trace !== null) {
+      trace.push({ type: 'candidate', segment: child.segment, accepted: true, params: accepted[0], message: `"${child.segment}" accepted` })
+    }
+    return accepted
+  }
+
+  // `[params, folded]` of a multi-param segment, matching its literal text
+  // as defined, then with ignoreCase, lowercased
+  _captureCompound (node, segment, trace) {
+    const values = this._captureParams(node, segment, trace)
+    if (values !== null || !(this.ignoreCase || this.scoped)) {
+      return [values, false]
+    }
+    const lower = segment.toLowerCase()
+    if (lower.length !== segment.length) {
+      return [null, false]
+    }
+    const folded = this._captureParams(node, lower, trace, segment, true)
+    return [folded, folded !== null]
+  }
+
+  // The params `node` captures from `segment`, or null when it doesn't match.
+  // Values are taken from `original`, the segment before it was lowercased
+  _captureParams (node, segment, trace = null, original = segment, fold = false) {
+    if (node.parts !== null) {
+      const regex = fold ? node.foldedRegex : node.regex
+      const match = regex.exec(segment)
+      if (match === null) {
+        return this._rejectParams(trace, node, 'regex', () => `${regex} does not match "${segment}"`)
+      }
+      const values = {}
+      // Parts match one after another, so each value starts where the previous part ended
+      let offset = 0
+      for (const part of node.parts) {
+        if (typeof part === 'string') {
+          offset += fold ? part.toLowerCase().length : part.length
           continue
         }
-        _segment = segment.slice(0, segment.length - child.suffix.length)
+        const value = original.slice(offset, offset += match.groups[part.name].length)
+        values[part.name] = convertParam(part.type, value)
+        if (values[part.name] === undefined) {
+          return this._rejectParams(trace, node, 'conversion', () => `"${value}" is not a valid ${part.type}`)
+        }
       }
-      if (child.regex != null && !child.regex.test(_segment)) {
-        continue
+      return values
+    }
+    let value = segment
+    if (node.suffix !== '') {
+      if (segment === node.suffix || !segment.endsWith(node.suffix)) {
+        return this._rejectParams(trace, node, 'suffix', () => `"${segment}" does not end with "${node.suffix}"`)
       }
-      return child
+      value = segment.slice(0, segment.length - node.suffix.length)
+    }
+    if (node.regex != null && !node.regex.test(value)) {
+      return this._rejectParams(trace, node, 'regex', () => `${node.regex} does not match "${value}"`)
+    }
+    value = original.slice(0, value.length)
+    const converted = convertParam(node.type, value)
+    if (converted === undefined) {
+      return this._rejectParams(trace, node, 'conversion', () => `"${value}" is not a valid ${node.type}`)
+    }
+    return { [node.name]: converted }
+  }
+
+  // `detail` gives the message, only built when tracing
+  _rejectParams (trace, node, reason, detail) {
+    if (trace !== null) {
+      trace.push({ type: 'candidate', segment: node.segment, accepted: false, reason, message: `"${node.segment}" rejected: ${detail()}` })
     }
     return null
   }
@@ -271,77 +2410,38 @@ class Trie {
     }
     
     if (segment === '') {
-      const node = new Node(parent);
-      node.priority = 100
-      parent.children[''] = node
-      return node;
-    } 
+      if (!parent.children['']) {
+        const node = new Node(parent);
+        node.priority = 100
+        parent.children[''] = node
+      }
+      return parent.children[''];
+    }
     
     if (segment[0] === ':') {
-      const node = new Node(parent);
-      let name = segment.slice(1)
-      
-      switch (name[name.length - 1]) {
-        case '*':
-          name = name.slice(0, name.length - 1)
-          node.wildcard = true
-          node.priority = 1
-          break;
-        default:
-          const n = name.search(suffixReg)
-          if (n >= 0) {
-            node.suffix = name.slice(n + 1);
-            name = name.slice(0, n)
-            node.priority = 4
-          }
-          if (name[name.length - 1] === ')') {
-            const regexIndex = name.indexOf('(')
-            if (regexIndex > 0) {
-              const regex = name.slice(regexIndex + 1, name.length - 1)
-              if (regex.length > 0) {
-                name = name.slice(0, regexIndex)
-                node.regex = new RegExp(regex)
-                node.priority = (node.priority > 0 ? node.priority : 0) + 3;
-              } else {
-                throw new Error(`Invalid pattern: "${parent.getSegments()}${segment}"`)
-              }
-            }
-          }
-      }
-      
-      if (node.priority === 0) {
-        node.priority = 2
-      }
-
-      // Bug Fix: Stricter validation for parameter names
-      if (!wordReg.test(name) || /^[0-9]/.test(name)) {
-        throw new Error(`Invalid pattern: "${parent.getSegments()}${segment}"`)
-      }
-      node.name = name
-      
-      for (const child of parent.varyChildren) {
-        const isSameType = child.wildcard === node.wildcard &&
-                           child.suffix === node.suffix &&
-                           String(child.regex) === String(node.regex);
-
-        if (isSameType) {
-           if (child.name !== node.name) {
-               throw new Error(`invalid pattern name "${node.name}", conflicts with existing "${child.segment}"`);
-           }
-           return child;
+      let node
+      try {
+        node = this._parseParam(parent, segment)
+      } catch (err) {
+        // Not a single param, it may still be a segment with several params
+        const parts = this._parseParts(parent, segment)
+        if (parts === null) {
+          throw err
         }
+        node = this._compoundNode(parent, parts)
       }
-      parent.varyChildren.push(node)
-      if (parent.varyChildren.length > 1) {
-        parent.varyChildren.sort((a, b) => b.priority - a.priority)
-      }
-      return node;
+      return this._addVaryChild(parent, node)
     }
-    
+
     if (segment[0] === '*' || segment[0] === '(' || segment[0] === ')') {
       throw new Error(`Invalid pattern: "${parent.getSegments()}${segment}"`)
     }
-    
+
+    const parts = this._parseParts(parent, segment)
+    if (parts !== null) {
+      return this._addVaryChild(parent, this._compoundNode(parent, parts))
+    }
+
     // Default static node
     const key = this._getSegmentKey(segment);
     if (!parent.children[key]) {
@@ -352,14 +2452,187 @@ class Trie {
     return parent.children[key];
   }
 
+  _parseParam (parent, segment) {
+    const node = new Node(parent);
+    let name = segment.slice(1)
+    
+    switch (name[name.length - 1]) {
+      case '*':
+        name = name.slice(0, name.length - 1)
+        node.wildcard = true
+        node.priority = 1
+        break;
+      default:
+        const n = name.search(suffixReg)
+        if (n >= 0) {
+          node.suffix = name.slice(n + 1);
+          name = name.slice(0, n)
+          node.priority = 4
+        }
+        if (name[name.length - 1] === ')') {
+          const regexIndex = name.indexOf('(')
+          if (regexIndex > 0) {
+            const regex = name.slice(regexIndex + 1, name.length - 1)
+            if (regex.length > 0) {
+              name = name.slice(0, regexIndex)
+              node.regex = new RegExp(regex)
+              node.priority = (node.priority > 0 ? node.priority : 0) + 3;
+            } else {
+              throw new Error(`Invalid pattern: "${parent.getSegments()}${segment}"`)
+            }
+          }
+        }
+        if (name[name.length - 1] === '>' && node.regex === null) {
+          const typeIndex = name.indexOf('<')
+          if (typeIndex > 0) {
+            node.type = this._getType(name.slice(typeIndex + 1, name.length - 1), parent, segment)
+            node.regex = node.type.regex
+            name = name.slice(0, typeIndex)
+            node.priority = (node.priority > 0 ? node.priority : 0) + 3;
+          }
+        }
+    }
+    
+    if (node.priority === 0) {
+      node.priority = 2
+    }
+
+    // Bug Fix: Stricter validation for parameter names
+    if (!wordReg.test(name) || /^[0-9]/.test(name)) {
+      throw new Error(`Invalid pattern: "${parent.getSegments()}${segment}"`)
+    }
+    node.name = name
+    return node
+  }
+
+  _addVaryChild (parent, node) {
+    const child = this._findVaryChild(parent, node)
+    if (child !== null) {
+      return child
+    }
+    parent.varyChildren.push(node)
+    if (parent.varyChildren.length > 1) {
+      parent.varyChildren.sort((a, b) => b.priority - a.priority)
+    }
+    return node;
+  }
+
+  // The param child of `parent` `node` is the same as, throwing when only their names differ
+  _findVaryChild (parent, node) {
+    for (const child of parent.varyChildren) {
+      const isSameType = child.parts === null && node.parts === null &&
+                         child.type === node.type &&
+                         child.wildcard === node.wildcard &&
+                         child.suffix === node.suffix &&
+                         String(child.regex) === String(node.regex);
+
+      if (isSameType) {
+         if (child.name !== node.name) {
+             throw new Error(`invalid pattern name "${node.name}", conflicts with existing "${child.segment}"`);
+         }
+         return child;
+      }
+      if (child.parts !== null && node.parts !== null && partsShape(child.parts) === partsShape(node.parts)) {
+        const names = node.parts.filter(part => typeof part !== 'string').map(part => part.name)
+        const childNames = child.parts.filter(part => typeof part !== 'string').map(part => part.name)
+        if (names.join() !== childNames.join()) {
+          throw new Error(`invalid pattern name "${names.join(', ')}", conflicts with existing "${child.segment}"`)
+        }
+        return child
+      }
+    }
+    return null
+  }
+
+  /**
+   * Splits a segment holding two or more params, such as ":name.:ext" or
+   * "v:major.:minor", into literal strings and param parts. Returns null
+   * for anything else, so existing static segments keep their meaning.
+   * "::" is a literal colon.
+   */
+  _parseParts (parent, segment) {
+    const parts = []
+    const names = []
+    let literal = ''
+    let error = ''
+    let i = 0
+    while (i < segment.length) {
+      const ch = segment[i]
+      const name = ch === ':' ? (segment.slice(i + 1).match(paramNameReg) || [''])[0] : ''
+      if (ch === ':' && segment[i + 1] === ':') {
+        literal += ':'
+        i += 2
+        continue
+      }
+      if (name === '') {
+        literal += ch
+        i++
+        continue
+      }
+      i += name.length + 1
+      let source = null
+      let type = null
+      if (segment[i] === '(') {
+        const close = findRegexEnd(segment, i)
+        source = close < 0 ? '' : unanchor(segment.slice(i + 1, close))
+        i = close < 0 ? segment.length : close + 1
+      } else if (segment[i] === '<' && segment.indexOf('>', i) > i + 1) {
+        const close = segment.indexOf('>', i)
+        type = this.types[segment.slice(i + 1, close)]
+        if (type == null) {
+          error = error || `Unknown param type "${segment.slice(i + 1, close)}": "${parent.getSegments()}${segment}"`
+        } else {
+          source = unanchor(type.regex.source)
+        }
+        i = close + 1
+      }
+      // Params need a literal between them and can't be catch-all
+      if (source === '' || names.includes(name) || (parts.length > 0 && literal === '') || segment[i] === '*') {
+        error = error || `Invalid pattern: "${parent.getSegments()}${segment}"`
+      }
+      if (literal !== '') {
+        parts.push(literal)
+        literal = ''
+      }
+      parts.push(paramPart(name, source, type || null))
+      names.push(name)
+    }
+    if (literal !== '') {
+      parts.push(literal)
+    }
+    if (names.length < 2) {
+      return null
+    }
+    if (error !== '') {
+      throw new Error(error)
+    }
+    return parts
+  }
+
+  _getType (name, parent, segment) {
+    if (this.types[name] == null) {
+      throw new Error(`Unknown param type "${name}": "${parent.getSegments()}${segment}"`)
+    }
+    return this.types[name]
+  }
+
+  _compoundNode (parent, parts) {
+    const node = new Node(parent)
+    node.parts = parts
+    node.priority = 8
+    node.regex = compoundRegex(parts)
+    node.foldedRegex = compoundRegex(parts, true)
+    return node
+  }
+
   _findNode (path) {
     const segments = path.replace(trimSlashReg, '').split('/')
     let currentNode = this.root
     for (const segment of segments) {
-      if (segment === '' && segments.length === 1) {
-        return currentNode.children[''] || null;
+      // An empty segment is always the last one: "/" or a trailing slash
+      if (segment === '') {
+        return currentNode.children[''] || null
       }
-      if (segment === '' && segments.length > 1) continue;
 
       const key = this._getSegmentKey(segment)
       if (currentNode.children[key]) {
@@ -376,28 +2649,358 @@ class Trie {
     return currentNode
   }
 
-  _pruneNode (node) {
+  _nodeToJSON (node) {
+    const children = {}
+    for (const key of Object.keys(node.children)) {
+      children[key] = this._nodeToJSON(node.children[key])
+    }
+    const data = {
+      segment: node.segment,
+      name: node.name,
+      pattern: node.pattern,
+      routeName: node.routeName,
+      priority: node.priority,
+      suffix: node.suffix,
+      regex: node.regex == null ? null : node.regex.source,
+      type: node.type === null ? null : node.type.name,
+      parts: node.parts == null ? null : node.parts.map(part => typeof part === 'string'
+        ? part
+        : { name: part.name, regex: part.source, type: part.type === null ? null : part.type.name }),
+      endpoint: node.endpoint,
+      wildcard: node.wildcard,
+      variants: node.variants === null ? null : node.variants.map(variant => variant.getSegments())
+    }
+    return Object.assign(data, this._handlersToJSON(node), {
+      // The route itself is listed as `{ version: null }`
+      versions: node.versions === null ? null : node.versions.map(version => version === node
+        ? { version: null }
+        : Object.assign({ version: version.version, routeName: version.routeName }, this._handlersToJSON(version))),
+      options: node.options,
+      children,
+      varyChildren: node.varyChildren.map(child => this._nodeToJSON(child))
+    })
+  }
+
+  _handlersToJSON (node) {
+    return {
+      methods: Object.keys(node.handlers),
+      constrained: Object.keys(node.constrained).map(method => ({
+        method,
+        constraints: node.constrained[method].map(entry => entry.constraints)
+      })),
+      meta: Object.assign({}, node.meta)
+    }
+  }
+
+  _nodeFromJSON (data, parent, handlerResolver) {
+    const node = new Node(parent)
+    node.segment = data.segment
+    node.name = data.name
+    node.pattern = data.pattern
+    node.priority = data.priority
+    node.suffix = data.suffix
+    node.regex = data.regex == null ? null : new RegExp(data.regex)
+    if (data.type != null) {
+      node.type = this._getType(data.type, node, '')
+      node.regex = node.type.regex
+    }
+    if (data.parts != null) {
+      node.parts = data.parts.map(part => typeof part === 'string'
+        ? part
+        : paramPart(part.name, part.regex, part.type == null ? null : this._getType(part.type, node, '')))
+      node.regex = compoundRegex(node.parts)
+      node.foldedRegex = compoundRegex(node.parts, true)
+    }
+    node.endpoint = data.endpoint
+    node.wildcard = data.wildcard
+    // Resolved to nodes once the whole graph exists
+    node.variants = data.variants
+    this._handlersFromJSON(node, data, handlerResolver)
+    // The resolver gets the version nodes of versioned routes
+    if (data.versions != null) {
+      node.versions = data.versions.some(version => version.version === null) ? [node] : []
+      for (const version of data.versions) {
+        if (version.version !== null) {
+          this._handlersFromJSON(this._versionNode(node, version.version), Object.assign({ pattern: data.pattern }, version), handlerResolver)
+        }
+      }
+    }
+    if (data.options != null) {
+      this._configureNode(node, data.options)
+    }
+    for (const key of Object.keys(data.children)) {
+      node.children[key] = this._nodeFromJSON(data.children[key], node, handlerResolver)
+    }
+    // Kept in serialized order, which is already sorted by priority
+    node.varyChildren = data.varyChildren.map(child => this._nodeFromJSON(child, node, handlerResolver))
+    return node
+  }
+
+  _handlersFromJSON (node, data, handlerResolver) {
+    if (data.routeName !== '') {
+      this._nameNode(node, data.routeName)
+    }
+    if (data.methods.length > 0 && handlerResolver == null) {
+      throw new TypeError(`Handler resolver is required for "${data.pattern}"`)
+    }
+    for (const method of data.methods) {
+      node.handle(method, handlerResolver(node, method))
+    }
+    // The resolver also gets the constraints of constrained handlers
+    for (const { method, constraints: list } of data.constrained || []) {
+      if (handlerResolver == null) {
+        throw new TypeError(`Handler resolver is required for "${data.pattern}"`)
+      }
+      for (const constraints of list) {
+        node.handle(method, handlerResolver(node, method, constraints), { constraints })
+      }
+    }
+    Object.assign(node.meta, data.meta)
+  }
+
+  /**
+   * Generates the source of a matcher for the current node graph: a
+   * function per node, switching on the segment length and comparing the
+   * static keys in place, then testing the `varyChildren` in priority
+   * order, with the same backtracking as `_matchFrom`.
+   */
+  _generateMatcher () {
+    const nodes = []
+    const ids = new Map()
+    const id = node => {
+      if (!ids.has(node)) {
+        ids.set(node, nodes.length)
+        nodes.push(node)
+      }
+      return ids.get(node)
+    }
+    const reason = { tsr: 'only the path with a trailing slash is defined', slash: 'the trailing slash is not defined' }
+    // Matches the rest of the path below `child`, with the params in `p`
+    const descend = (child, p) => {
+      const k = id(child)
+      if (child.wildcard) {
+        const found = child.endpoint ? `return { node: n[${k}], params: ${p} }` : ''
+        return `${p}[${JSON.stringify(child.name)}] = path.slice(start, end)\n${found}`
+      }
+      const last = child.endpoint
+        ? `return { node: n[${k}], params: ${p} }`
+        : this.tsr && child.children[''] != null
+          ? `if (state.redirect === null) state.redirect = { path: path + '/', reason: ${JSON.stringify(reason.tsr)} }`
+          : ''
+      return `if (i < end) {\nconst r = f${k}(i + 1, ${p})\nif (r !== null) return r\n} else {\n${last}\n}`
+    }
+    const candidate = (child, seg) => {
+      const k = id(child)
+      const label = `c${k}_${seg}`
+      const lines = [`${label}: {`]
+      if (!child.wildcard) {
+        lines.push(`if (${seg}.length === 0) break ${label}`)
+      }
+      if (child.parts !== null) {
+        lines.push(`const v = capture(n[${k}], ${seg})`, `if (v === null) break ${label}`, 'tried = true',
+          'const p = Object.assign({}, params, v)')
+      } else {
+        let value = seg
+        if (child.suffix !== '') {
+          const length = child.suffix.length
+          lines.push(`if (${seg}.length <= ${length} || !${seg}.endsWith(${JSON.stringify(child.suffix)})) break ${label}`)
+          value = `${seg}.slice(0, ${seg}.length - ${length})`
+        }
+        lines.push(`${seg === 'seg' ? 'const' : 'let'} value = ${value}`)
+        if (child.regex !== null) {
+          lines.push(`if (!n[${k}].regex.test(value)) break ${label}`)
+        }
+        if (seg !== 'seg') {
+          // Params keep the casing of the path
+          lines.push('value = seg.slice(0, value.length)')
+        }
+        lines.push(child.type === null ? 'const v = value' : `const v = convertParam(n[${k}].type, value)`,
+          `if (v === undefined) break ${label}`, 'tried = true',
+          'const p = Object.assign({}, params)', `p[${JSON.stringify(child.name)}] = v`)
+      }
+      lines.push(descend(child, 'p'), '}')
+      return lines.join('\n')
+    }
+    const fns = []
+    for (const { node } of this._walk(this.root, 0)) {
+      if (node.wildcard) continue
+      const k = id(node)
+      const lines = [`function f${k} (start, params) {`, 'let i = path.indexOf(\'/\', start)', 'if (i < 0) i = end', 'let tried = false']
+      const keys = Object.keys(node.children)
+      if (keys.length > 8) {
+        // Many static keys are looked up in a table of the code for each child
+        const table = keys.map(key => {
+          const c = id(node.children[key])
+          fns.push(`function g${c} (start, i, params) {\nconst p = params\n${descend(node.children[key], 'p')}\nreturn null\n}`)
+          return `${JSON.stringify(key)}: g${c}`
+        })
+        fns.push(`const t${k} = Object.assign(Object.create(null), { ${table.join(', ')} })`)
+        lines.push(`const g = t${k}[lower.slice(start, i)]`, 'if (g !== undefined) {', 'tried = true',
+          'const r = g(start, i, params)', 'if (r !== null) return r', '}')
+      } else if (keys.length > 0) {
+        // Few are compared in place, by the segment length first
+        const byLength = new Map()
+        for (const key of keys) {
+          byLength.set(key.length, (byLength.get(key.length) || []).concat(key))
+        }
+        lines.push('switch (i - start) {')
+        for (const [length, group] of byLength) {
+          lines.push(`case ${length}:`)
+          for (const key of group) {
+            lines.push(`if (lower.startsWith(${JSON.stringify(key)}, start)) {`, 'tried = true', 'const p = params',
+              descend(node.children[key], 'p'), '}')
+          }
+          lines.push('break')
+        }
+        lines.push('}')
+      }
+      if (node.varyChildren.length > 0) {
+        lines.push('const seg = path.slice(start, i)')
+        lines.push(...node.varyChildren.map(child => candidate(child, 'seg')))
+        if (this.ignoreCase) {
+          lines.push('const lseg = lower.slice(start, i)', 'if (lseg !== seg) {')
+          lines.push(...node.varyChildren.filter(child => child.parts === null).map(child => candidate(child, 'lseg')))
+          lines.push('}')
+        }
+      }
+      if (this.tsr && node.endpoint) {
+        lines.push(`if (!tried && i === start && i === end && state.redirect === null) {`,
+          `state.redirect = { path: path.slice(0, end - 1) || '/', reason: ${JSON.stringify(reason.slash)} }`, '}')
+      }
+      lines.push('return null', '}')
+      fns.push(lines.join('\n'))
+    }
+    const source = [
+      'let path, lower, end, state',
+      ...fns,
+      'return function match (p, l, s) {',
+      'path = p',
+      'lower = l',
+      'end = p.length',
+      'state = s',
+      'return f0(1, {})',
+      '}'
+    ].join('\n')
+    return new Function('n', 'convertParam', 'capture', source)(nodes, convertParam, (node, segment) => this._captureCompound(node, segment, null)[0])
+  }
+
+  * _walk (node, depth) {
+    yield { node, depth }
+    for (const key of Object.keys(node.children)) {
+      yield * this._walk(node.children[key], depth + 1)
+    }
+    for (const child of node.varyChildren) {
+      yield * this._walk(child, depth + 1)
+    }
+  }
+
+  // Detaches `node` and its ancestors left without routes, returning them from `node` up
+  _pruneNode (node, pruned = []) {
     if (!node || !node.parent) {
-      return
+      return pruned
     }
+    // Middleware and options stay for the routes defined there later
     const canPrune = !node.endpoint &&
       Object.keys(node.children).length === 0 &&
-      node.varyChildren.length === 0
+      node.varyChildren.length === 0 &&
+      node.middleware.length === 0 &&
+      node.options === null
     if (canPrune) {
       const parent = node.parent
-      const segment = node.segment
-      if (segment.startsWith(':') || segment.startsWith('*')) {
-        const index = parent.varyChildren.findIndex(child => child === node)
-        if (index > -1) {
-          parent.varyChildren.splice(index, 1)
-        }
-      } else {
-        const key = this._getSegmentKey(segment)
-        delete parent.children[key]
+      const index = parent.varyChildren.indexOf(node)
+      if (index > -1) {
+        parent.varyChildren.splice(index, 1)
+      } else if (parent.children[this._getSegmentKey(node.segment)] === node) {
+        delete parent.children[this._getSegmentKey(node.segment)]
+      }
+      pruned.push(node)
+      this._pruneNode(parent, pruned)
+    }
+    return pruned
+  }
+}
+
+// Calls connect-style `fns` in turn; the last one gets the outer `next`
+function run (fns, req, res, next, fail) {
+  let index = 0
+  const step = (err) => {
+    if (err != null) {
+      return fail(err)
+    }
+    const fn = fns[index++]
+    try {
+      const result = fn(req, res, index < fns.length ? step : next)
+      if (result != null && typeof result.then === 'function') {
+        result.then(null, fail)
+      }
+    } catch (err) {
+      fail(err)
+    }
+  }
+  step()
+}
+
+/**
+ * Creates a request listener for `http.createServer` that is also a
+ * connect-style `(req, res, next)` middleware. It answers redirects, 405 and
+ * OPTIONS itself, and passes unmatched requests to `next` or answers 404.
+ */
+function createHandler (trie, options = {}) {
+  return function handler (req, res, next) {
+    const fail = (err) => {
+      if (typeof next === 'function') {
+        return next(err)
       }
-      this._pruneNode(parent)
+      res.statusCode = 500
+      res.end()
+    }
+    const url = req.url || ''
+    const context = { host: req.headers.host, headers: req.headers, request: req }
+    let matched
+    try {
+      matched = url[0] === '/' ? trie.match(url, req.method, context) : new Matched()
+    } catch (err) {
+      // Constraint strategies and event listeners may throw while matching
+      return fail(err)
+    }
+
+    switch (matched.status) {
+      case 'found':
+        req.params = matched.params
+        req.matched = matched
+        run(matched.middleware.concat(matched.handler), req, res, next, fail)
+        return
+      case 'redirect':
+        res.statusCode = redirectStatus(req.method, options)
+        res.setHeader('Location', matched.fpr || matched.tsr)
+        res.end()
+        return
+      case 'options':
+        res.statusCode = 204
+        res.setHeader('Allow', matched.allow)
+        res.end()
+        return
+      case 'method-not-allowed':
+        res.statusCode = 405
+        res.setHeader('Allow', matched.allow)
+        res.end()
+        return
+      case 'constraint-failed':
+        // Only an unmet Accept is answered, other constraints are like a missing route
+        if (matched.constraint === 'accept') {
+          res.statusCode = 406
+          res.end()
+          return
+        }
+      // falls through
+      default:
+        if (typeof next === 'function') {
+          return next()
+        }
+        res.statusCode = 404
+        res.end()
     }
   }
 }
 
-export { Trie, Node, Matched };
+export { Trie, Node, Matched, createHandler };
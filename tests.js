@@ -11,7 +11,8 @@ import assert from 'node:assert';
 
 // --- 2. Import the Router Code to be Tested ---
 // This assumes your Trie implementation is in 'index.js' in the same directory.
-import { Trie } from './index.js';
+import http from 'node:http';
+import { Trie, createHandler } from './index.js';
 
 
 // --- 3. The Test Suite ---
@@ -346,3 +347,1973 @@ describe('Remove and Redefine', () => {
         assert.deepStrictEqual(m.params, { newId: '456' });
     });
 });
+
+describe('Reverse Routing', () => {
+    test('should build URLs for static, named, suffix and wildcard nodes', () => {
+        const trie = new Trie();
+        assert.strictEqual(trie.define('/').url(), '/');
+        assert.strictEqual(trie.define('/a/b/').url(), '/a/b/');
+        assert.strictEqual(trie.define('/a/::b').url(), '/a/:b');
+        const node = trie.define('/api/:resource/:ID(^\\d+$)+:cancel');
+        assert.strictEqual(node.url({ resource: 'task', ID: 123 }), '/api/task/123:cancel');
+        assert.strictEqual(trie.define('/files/:path*').url({ path: 'a b/c.txt' }), '/files/a%20b/c.txt');
+        assert.strictEqual(trie.define('/u/:name').url({ name: 'a/b?c' }), '/u/a%2Fb%3Fc');
+    });
+
+    test('should round-trip through match', () => {
+        const trie = new Trie();
+        const node = trie.define('/api/:resource/:ID(^\\d+$)+:cancel');
+        const m = trie.match(trie.build('/api/:resource/:ID(^\\d+$)+:cancel', { resource: 'task', ID: '7' }));
+        assert.strictEqual(m.node, node);
+        assert.deepStrictEqual(m.params, { resource: 'task', ID: '7' });
+    });
+
+    test('should throw descriptive errors', () => {
+        const trie = new Trie();
+        const node = trie.define('/a/:id(^\\d+$)');
+        assert.throws(() => node.url({}), /Missing param "id"/);
+        assert.throws(() => node.url({ id: '' }), /must not be empty/);
+        assert.throws(() => node.url({ id: 'abc' }), /Invalid param "id"/);
+        assert.throws(() => node.url(null), TypeError);
+        assert.throws(() => trie.build('/b', {}), /Pattern is not defined/);
+    });
+
+    test('should find trailing slash nodes distinct from their parents', () => {
+        const trie = new Trie();
+        const a = trie.define('/a');
+        const slash = trie.define('/a/');
+        assert.strictEqual(trie.build('/a', {}), '/a');
+        assert.strictEqual(trie.build('/a/', {}), '/a/');
+        trie.remove('/a/');
+        assert.strictEqual(trie.match('/a').node, a);
+        assert.notStrictEqual(trie.match('/a/').node, slash);
+    });
+});
+
+describe('Named Routes', () => {
+    test('should register and look up routes by name', () => {
+        const trie = new Trie();
+        const node = trie.define('/users/:id', { name: 'user' });
+        assert.strictEqual(trie.lookup('user'), node);
+        assert.strictEqual(trie.lookup('missing'), null);
+        assert.strictEqual(node.routeName, 'user');
+        assert.strictEqual(trie.urlFor('user', { id: 42 }), '/users/42');
+        assert.throws(() => trie.urlFor('missing', {}), /Route name is not defined/);
+    });
+
+    test('should reject duplicate names and renaming', () => {
+        const trie = new Trie();
+        const node = trie.define('/a', { name: 'a' });
+        assert.strictEqual(trie.define('/a', { name: 'a' }), node, 'Same pattern and name is allowed');
+        assert.throws(() => trie.define('/b', { name: 'a' }), /Route name "a" already defined/);
+        assert.throws(() => trie.define('/a', { name: 'other' }), /already named "a"/);
+        assert.throws(() => trie.define('/c', { name: '' }), TypeError);
+    });
+
+    test('should drop the name binding on remove', () => {
+        const trie = new Trie();
+        trie.define('/a/b', { name: 'ab' });
+        trie.remove('/a/b');
+        assert.strictEqual(trie.lookup('ab'), null);
+        assert.doesNotThrow(() => trie.define('/a/c', { name: 'ab' }));
+    });
+});
+
+describe('Param Decoding', () => {
+    test('should leave params raw by default', () => {
+        const trie = new Trie();
+        trie.define('/files/:name');
+        assert.strictEqual(trie.match('/files/a%20b').params.name, 'a%20b');
+    });
+
+    test('should decode params and keep encoded slashes inside a segment', () => {
+        const trie = new Trie({ decodeParams: true });
+        trie.define('/files/:name');
+        trie.define('/wild/:path*');
+        trie.define('/n/:id(^\\d+$)+:del');
+        assert.deepStrictEqual(trie.match('/files/a%20b').params, { name: 'a b' });
+        assert.deepStrictEqual(trie.match('/files/a%2Fb').params, { name: 'a/b' });
+        assert.strictEqual(trie.match('/files/a%2Fb').node.name, 'name');
+        assert.deepStrictEqual(trie.match('/wild/x%20y/z').params, { path: 'x y/z' });
+        assert.deepStrictEqual(trie.match('/n/12%3Adel').params, { id: '12' });
+    });
+
+    test('should match static segments by their encoded form', () => {
+        const trie = new Trie({ decodeParams: true });
+        const node = trie.define('/café/a b');
+        assert.strictEqual(trie.match('/caf%C3%A9/a%20b').node, node);
+        assert.strictEqual(trie.match('/café/a b').node, node);
+    });
+
+    test('should not match malformed escapes', () => {
+        const trie = new Trie({ decodeParams: true });
+        trie.define('/files/:name');
+        trie.define('/wild/:path*');
+        assert.doesNotThrow(() => trie.match('/files/%E0%A4%A'));
+        assert.strictEqual(trie.match('/files/%E0%A4%A').node, null);
+        assert.strictEqual(trie.match('/wild/a/%zz').node, null);
+    });
+});
+
+describe('Query Strings and Fragments', () => {
+    test('should match on the pathname only and parse the query', () => {
+        const trie = new Trie();
+        const node = trie.define('/api/:type');
+        const m = trie.match('/api/user?x=1&y=a%20b#top');
+        assert.strictEqual(m.node, node);
+        assert.deepStrictEqual(m.params, { type: 'user' });
+        assert.strictEqual(m.query.get('x'), '1');
+        assert.strictEqual(m.query.get('y'), 'a b');
+        assert.strictEqual(trie.match('/api/user#frag?x=1').query.has('x'), false, 'Query inside the fragment is ignored');
+        assert.strictEqual(trie.match('/api/user').query.toString(), '');
+    });
+
+    test('should keep the query string on redirects', () => {
+        const trie = new Trie();
+        trie.define('/a/b');
+        trie.define('/c/');
+        assert.strictEqual(trie.match('/a/b/?x=1#f').tsr, '/a/b?x=1');
+        assert.strictEqual(trie.match('/c?x=1').tsr, '/c/?x=1');
+        assert.strictEqual(trie.match('/a//b?x=//1').fpr, '/a/b?x=//1');
+    });
+});
+
+describe('Route Introspection', () => {
+    const build = () => {
+        const trie = new Trie();
+        trie.define('/').handle('GET', () => {});
+        trie.define('/api/:type/:ID(^\\d+$)+:cancel', { name: 'cancel' }).handle('POST', () => {});
+        trie.define('/api/users');
+        trie.define('/files/:path*');
+        return trie;
+    };
+
+    test('should list every endpoint in match order', () => {
+        const trie = build();
+        const routes = trie.routes();
+        assert.deepStrictEqual(routes.map(r => r.pattern), ['/', '/api/users', '/api/:type/:ID(^\\d+$)+:cancel', '/files/:path*']);
+        assert.strictEqual(routes[0].allow, 'GET');
+        assert.deepStrictEqual(routes[0].methods, ['GET']);
+        assert.strictEqual(routes[2].name, 'cancel');
+        assert.strictEqual(routes[2].node, trie.lookup('cancel'));
+        assert.deepStrictEqual(routes[2].params, [
+            { name: 'type', regex: null, type: null, suffix: '', wildcard: false, optional: false },
+            { name: 'ID', regex: '^\\d+$', type: null, suffix: ':cancel', wildcard: false, optional: false }
+        ]);
+        assert.deepStrictEqual(routes[3].params, [{ name: 'path', regex: null, type: null, suffix: '', wildcard: true, optional: false }]);
+    });
+
+    test('should be iterable and skip removed routes', () => {
+        const trie = build();
+        trie.remove('/api/users');
+        assert.deepStrictEqual([...trie].map(r => r.pattern), ['/', '/api/:type/:ID(^\\d+$)+:cancel', '/files/:path*']);
+    });
+
+    test('should render the tree with priorities', () => {
+        const trie = build();
+        assert.strictEqual(trie.toString(), [
+            '/',
+            '  / (0) => / [GET]',
+            '  api (50)',
+            '    users (50) => /api/users',
+            '    :type (2)',
+            '      :ID(^\\d+$)+:cancel (7) => /api/:type/:ID(^\\d+$)+:cancel [POST]',
+            '  files (50)',
+            '    :path* (1) => /files/:path*'
+        ].join('\n'));
+        const lines = [];
+        trie.print(line => lines.push(line));
+        assert.deepStrictEqual(lines, [trie.toString()]);
+    });
+});
+
+describe('Serialization', () => {
+    const handlers = { list: () => {}, create: () => {}, show: () => {} };
+
+    const build = () => {
+        const trie = new Trie({ ignoreCase: false, trailingSlashRedirect: false });
+        const users = trie.define('/Users', { name: 'users' });
+        users.handle('GET', handlers.list);
+        users.handle('POST', handlers.create);
+        trie.define('/Users/:id').handle('GET', handlers.show);
+        trie.define('/Users/:id(^\\d+$)');
+        trie.define('/Users/:id+:undelete');
+        trie.define('/Users/::me');
+        trie.define('/files/:path*');
+        return trie;
+    };
+
+    test('should round-trip through JSON with identical match results', () => {
+        const trie = build();
+        const resolver = (node, method) => {
+            if (node.pattern === '/Users') return method === 'GET' ? handlers.list : handlers.create;
+            return handlers.show;
+        };
+        const copy = Trie.fromJSON(JSON.stringify(trie), resolver);
+        assert.deepStrictEqual(copy.toJSON(), trie.toJSON());
+        assert.strictEqual(copy.ignoreCase, false);
+        assert.strictEqual(copy.tsr, false);
+        assert.strictEqual(copy.toString(), trie.toString());
+
+        for (const path of ['/Users', '/users', '/Users/', '/Users/42', '/Users/bob', '/Users/7:undelete', '/Users/:me', '/files/a/b']) {
+            const a = trie.match(path);
+            const b = copy.match(path);
+            assert.strictEqual(b.node && b.node.pattern, a.node && a.node.pattern, path);
+            assert.deepStrictEqual(b.params, a.params, path);
+            assert.strictEqual(b.tsr, a.tsr, path);
+            assert.strictEqual(b.fpr, a.fpr, path);
+        }
+        const node = copy.lookup('users');
+        assert.strictEqual(node, copy.match('/Users').node);
+        assert.strictEqual(node.getHandler('POST'), handlers.create);
+        assert.strictEqual(node.getAllow(), 'GET, POST');
+        assert.deepStrictEqual(copy.define('/Users').varyChildren.map(c => c.segment), [':id+:undelete', ':id(^\\d+$)', ':id']);
+    });
+
+    test('should require a resolver when handlers were defined', () => {
+        const data = build().toJSON();
+        assert.throws(() => Trie.fromJSON(data), /Handler resolver is required/);
+        assert.throws(() => Trie.fromJSON(data, () => null), /handler should not be null/);
+        assert.throws(() => Trie.fromJSON({}), TypeError);
+    });
+});
+
+describe('Multiple Params in a Segment', () => {
+    test('should define and match mixed static and param segments', () => {
+        const trie = new Trie();
+        const file = trie.define('/files/:name.:ext');
+        const version = trie.define('/v:major.:minor/status');
+        const range = trie.define('/:from-:to');
+        assert.strictEqual(file.name, '');
+        assert.deepStrictEqual(file.parts.map(p => typeof p === 'string' ? p : p.name), ['name', '.', 'ext']);
+        assert.strictEqual(trie.match('/files/index.js').node, file);
+        assert.deepStrictEqual(trie.match('/files/index.js').params, { name: 'index', ext: 'js' });
+        assert.deepStrictEqual(trie.match('/files/a.tar.gz').params, { name: 'a.tar', ext: 'gz' }, 'Earlier params are greedy');
+        assert.strictEqual(trie.match('/files/readme').node, null);
+        assert.strictEqual(trie.match('/v1.2/status').node, version);
+        assert.deepStrictEqual(trie.match('/v1.2/status').params, { major: '1', minor: '2' });
+        assert.strictEqual(trie.match('/V1.2/status').node, version, 'Literal text ignores case');
+        assert.deepStrictEqual(trie.match('/10-20').params, { from: '10', to: '20' });
+        assert.strictEqual(trie.match('/10-20').node, range);
+    });
+
+    test('should validate params with their own regexp', () => {
+        const trie = new Trie();
+        const node = trie.define('/n/:a(^\\d+$)-:b(\\d+)');
+        assert.deepStrictEqual(trie.match('/n/1-2').params, { a: '1', b: '2' });
+        assert.strictEqual(trie.match('/n/1-x').node, null);
+        assert.strictEqual(node.url({ a: 1, b: 2 }), '/n/1-2');
+        assert.throws(() => node.url({ a: 'x', b: 2 }), /Invalid param "a"/);
+        assert.strictEqual(trie.define('/files/:name.:ext').url({ name: 'a b', ext: 'txt' }), '/files/a%20b.txt');
+    });
+
+    test('should prioritize between static and single param nodes', () => {
+        const trie = new Trie();
+        const param = trie.define('/files/:file');
+        const wild = trie.define('/files/:path*');
+        const compound = trie.define('/files/:name.:ext');
+        const suffix = trie.define('/files/:id(^\\d+$)+:del');
+        const fixed = trie.define('/files/readme.md');
+        assert.deepStrictEqual(trie.define('/files').varyChildren.map(c => c.priority), [8, 7, 2, 1]);
+        assert.strictEqual(trie.match('/files/readme.md').node, fixed);
+        assert.strictEqual(trie.match('/files/a.md').node, compound);
+        assert.strictEqual(trie.match('/files/12:del').node, suffix);
+        assert.strictEqual(trie.match('/files/a').node, param);
+        assert.strictEqual(wild.priority, 1);
+    });
+
+    test('should keep existing single param and static syntax', () => {
+        const trie = new Trie();
+        assert.strictEqual(trie.define('/a/:b+:del').suffix, ':del');
+        assert.strictEqual(trie.define('/api:batch').parts, null, 'One param after literal text stays static');
+        assert.ok(trie.match('/api:batch').node);
+        assert.strictEqual(trie.define('/a/:x::y.:z').parts.join('|').includes(':y.'), true, '"::" is a literal colon');
+    });
+
+    test('should reject malformed or conflicting segments', () => {
+        const trie = new Trie();
+        assert.throws(() => trie.define('/x/:a:b'), /Invalid pattern/, 'Adjacent params');
+        assert.throws(() => trie.define('/x/:a.:a'), /Invalid pattern/, 'Duplicate names');
+        assert.throws(() => trie.define('/x/:a.:b*'), /Invalid pattern/, 'Catch-all');
+        assert.throws(() => trie.define('/x/:a().:b'), /Invalid pattern/, 'Empty regexp');
+        const node = trie.define('/y/:name.:ext');
+        assert.strictEqual(trie.define('/y/:name.:ext'), node);
+        assert.throws(() => trie.define('/y/:x.:y'), /conflicts with existing ":name.:ext"/);
+    });
+
+    test('should remove, list and serialize multi-param nodes', () => {
+        const trie = new Trie();
+        trie.define('/files/:file');
+        trie.define('/files/:name.:ext');
+        assert.deepStrictEqual(trie.routes()[0].params, [
+            { name: 'name', regex: null, type: null, suffix: '', wildcard: false, optional: false },
+            { name: 'ext', regex: null, type: null, suffix: '', wildcard: false, optional: false }
+        ]);
+        const copy = Trie.fromJSON(JSON.stringify(trie));
+        assert.deepStrictEqual(copy.match('/files/a.b').params, { name: 'a', ext: 'b' });
+        trie.remove('/files/:name.:ext');
+        assert.deepStrictEqual(trie.match('/files/a.b').params, { file: 'a.b' });
+        assert.strictEqual(trie.define('/files').varyChildren.length, 1);
+    });
+});
+
+describe('Optional Segments', () => {
+    test('should match every variant of trailing optional params with one node', () => {
+        const trie = new Trie();
+        const node = trie.define('/docs/:lang?/:page?');
+        assert.strictEqual(node.pattern, '/docs/:lang?/:page?');
+        assert.deepStrictEqual(node.variants.map(v => v.getSegments()), ['/docs/:lang/:page', '/docs/:lang', '/docs']);
+        assert.strictEqual(trie.match('/docs').node, node);
+        assert.deepStrictEqual(trie.match('/docs').params, {});
+        assert.strictEqual(trie.match('/docs/en').node, node);
+        assert.strictEqual(trie.match('/docs/en').params.page, undefined);
+        assert.deepStrictEqual(trie.match('/docs/en/intro').params, { lang: 'en', page: 'intro' });
+        assert.strictEqual(trie.match('/docs/en/intro/more').node, null);
+        assert.strictEqual(trie.define('/docs/:lang?/:page?'), node);
+        assert.strictEqual(node.url({ lang: 'en' }), '/docs/en');
+        assert.throws(() => node.url({ page: 'intro' }), /Param "page" can not be used/);
+    });
+
+    test('should support optional groups anywhere in the pattern', () => {
+        const trie = new Trie();
+        const node = trie.define('/a{/:x}/b{/:y(^\\d+$)}');
+        assert.strictEqual(trie.match('/a/b').node, node);
+        assert.deepStrictEqual(trie.match('/a/1/b').params, { x: '1' });
+        assert.deepStrictEqual(trie.match('/a/b/2').params, { y: '2' });
+        assert.deepStrictEqual(trie.match('/a/1/b/2').params, { x: '1', y: '2' });
+        assert.strictEqual(trie.match('/a/b/z').node, null);
+        assert.strictEqual(trie.define('/r/:id(\\d{2})').regex.source, '\\d{2}', 'Braces inside a regexp are not groups');
+    });
+
+    test('should share handlers and names between variants', () => {
+        const trie = new Trie();
+        const handler = () => {};
+        trie.define('/docs/:lang?', { name: 'docs' }).handle('GET', handler);
+        assert.strictEqual(trie.match('/docs').node.getHandler('GET'), handler);
+        assert.strictEqual(trie.match('/docs/en').node.getAllow(), 'GET');
+        assert.strictEqual(trie.urlFor('docs', {}), '/docs');
+        assert.strictEqual(trie.urlFor('docs', { lang: 'en' }), '/docs/en');
+        assert.strictEqual(trie.build('/docs/:lang?', { lang: 'de' }), '/docs/de');
+    });
+
+    test('should redirect trailing slashes to the matching variant', () => {
+        const trie = new Trie();
+        trie.define('/docs/:lang?/:page?');
+        assert.strictEqual(trie.match('/docs/').node, null, 'An absent param is not an empty one');
+        assert.strictEqual(trie.match('/docs/').tsr, '/docs');
+        assert.strictEqual(trie.match('/docs/en/').tsr, '/docs/en');
+        assert.strictEqual(trie.match('/docs/en/intro/').tsr, '/docs/en/intro');
+    });
+
+    test('should reject conflicts and malformed groups', () => {
+        const trie = new Trie();
+        trie.define('/docs/:lang?');
+        assert.throws(() => trie.define('/docs'), /conflicts with "\/docs\/:lang\?"/);
+        trie.define('/users/:id');
+        assert.throws(() => trie.define('/users/:id?'), /conflicts with "\/users\/:id"/);
+        assert.strictEqual(trie.match('/users').node, null, 'A conflicting define leaves no route');
+        trie.define('/a/:x');
+        assert.throws(() => trie.define('/a{/:x}'), /conflicts with "\/a\/:x"/);
+        assert.strictEqual(trie.match('/a').status, 'not-found');
+        trie.define('/e/:z');
+        assert.throws(() => trie.define('/e{/x}/:a'), /conflicts with existing ":z"/);
+        assert.strictEqual(trie._findNode('/e/x'), null, 'Variants defined before a failing one are undone');
+        assert.deepStrictEqual(trie.routes().map((route) => route.pattern), ['/docs/:lang?', '/users/:id', '/a/:x', '/e/:z']);
+        assert.throws(() => trie.define('/x{/:a'), /Invalid pattern/);
+        assert.throws(() => trie.define('/x/:a}'), /Invalid pattern/);
+        assert.throws(() => trie.define('/x{}'), /Invalid pattern/);
+    });
+
+    test('should list, serialize and remove the route as a whole', () => {
+        const trie = new Trie();
+        trie.define('/docs/:lang?/:page?', { name: 'docs' });
+        trie.define('/about');
+        const routes = trie.routes();
+        assert.deepStrictEqual(routes.map(r => r.pattern), ['/docs/:lang?/:page?', '/about']);
+        assert.deepStrictEqual(routes[0].params.map(p => p.optional), [true, true]);
+
+        const copy = Trie.fromJSON(JSON.stringify(trie));
+        assert.strictEqual(copy.match('/docs/en').node, copy.lookup('docs'));
+        assert.strictEqual(copy.urlFor('docs', { lang: 'en' }), '/docs/en');
+
+        trie.remove('/docs');
+        assert.strictEqual(trie.match('/docs/en/intro').node, null);
+        assert.strictEqual(trie.lookup('docs'), null);
+        assert.strictEqual(trie._findNode('/docs'), null, 'Every variant is pruned');
+    });
+});
+
+describe('Typed Params', () => {
+    test('should convert built-in int, uuid and date params', () => {
+        const trie = new Trie();
+        const user = trie.define('/users/:id<int>');
+        const day = trie.define('/days/:day<date>');
+        trie.define('/items/:key<uuid>');
+        assert.strictEqual(user.type.name, 'int');
+        assert.strictEqual(user.priority, 3);
+        assert.deepStrictEqual(trie.match('/users/42').params, { id: 42 });
+        assert.deepStrictEqual(trie.match('/users/-7').params, { id: -7 });
+        assert.strictEqual(trie.match('/users/abc').node, null);
+        assert.deepStrictEqual(trie.match('/items/0E8F2C1A-1234-4ABC-8DEF-0123456789AB').params, { key: '0e8f2c1a-1234-4abc-8def-0123456789ab' });
+        assert.deepStrictEqual(trie.match('/days/2024-02-29').params, { day: new Date(Date.UTC(2024, 1, 29)) });
+        assert.strictEqual(trie.match('/days/2024-02-30').node, null);
+        assert.strictEqual(day.url({ day: new Date(Date.UTC(2024, 0, 5)) }), '/days/2024-01-05');
+    });
+
+    test('should fall through to the next candidate when conversion fails', () => {
+        const trie = new Trie();
+        const id = trie.define('/users/:id<int>');
+        const name = trie.define('/users/:name');
+        assert.strictEqual(trie.match('/users/12').node, id);
+        assert.strictEqual(trie.match('/users/99999999999999999999').node, name, 'Unsafe integers fail to convert');
+        assert.deepStrictEqual(trie.match('/users/99999999999999999999').params, { name: '99999999999999999999' });
+    });
+
+    test('should combine types with suffixes and multi-param segments', () => {
+        const trie = new Trie();
+        const del = trie.define('/tasks/:id<int>+:cancel');
+        const version = trie.define('/v:major<int>.:minor<int>/status');
+        assert.strictEqual(del.priority, 7);
+        assert.deepStrictEqual(trie.match('/tasks/5:cancel').params, { id: 5 });
+        assert.deepStrictEqual(trie.match('/v1.2/status').params, { major: 1, minor: 2 });
+        assert.strictEqual(trie.match('/vx.2/status').node, null);
+        assert.strictEqual(version.url({ major: 3, minor: 0 }), '/v3.0/status');
+        assert.strictEqual(trie.routes()[0].params[0].type, 'int');
+    });
+
+    test('should register custom types', () => {
+        const trie = new Trie();
+        trie.registerType('hex', { regex: /^[0-9a-f]+$/, parse: str => parseInt(str, 16), stringify: n => n.toString(16) });
+        const node = trie.define('/color/:c<hex>');
+        assert.deepStrictEqual(trie.match('/color/ff').params, { c: 255 });
+        assert.strictEqual(node.url({ c: 10 }), '/color/a');
+        assert.throws(() => trie.registerType('hex', { regex: /x/ }), /Type "hex" already defined/);
+        assert.throws(() => trie.registerType('bad', {}), TypeError);
+        assert.throws(() => trie.define('/x/:a<nope>'), /Unknown param type "nope"/);
+        assert.throws(() => trie.define('/x/:a<nope>.:b'), /Unknown param type "nope"/);
+    });
+
+    test('should distinguish types from regexps with the same source', () => {
+        const trie = new Trie();
+        const typed = trie.define('/n/:id<int>');
+        const plain = trie.define('/n/:id(^-?\\d+$)');
+        assert.notStrictEqual(typed, plain);
+    });
+
+    test('should restore types from JSON', () => {
+        const hex = { regex: /^[0-9a-f]+$/, parse: str => parseInt(str, 16) };
+        const trie = new Trie();
+        trie.registerType('hex', hex);
+        trie.define('/color/:c<hex>');
+        trie.define('/users/:id<int>');
+        const json = JSON.stringify(trie);
+        assert.throws(() => Trie.fromJSON(json), /Unknown param type "hex"/);
+        const copy = Trie.fromJSON(json, null, { hex });
+        assert.deepStrictEqual(copy.match('/color/0a').params, { c: 10 });
+        assert.deepStrictEqual(copy.match('/users/3').params, { id: 3 });
+    });
+});
+
+describe('Method Matching', () => {
+    const build = (options) => {
+        const trie = new Trie(options);
+        const node = trie.define('/users/:id');
+        node.handle('GET', 'get');
+        node.handle('POST', 'post');
+        trie.define('/any').handle('ANY', 'any');
+        trie.define('/redirect');
+        return trie;
+    };
+
+    test('should report the status without a method', () => {
+        const trie = build();
+        assert.strictEqual(trie.match('/users/1').status, 'found');
+        assert.strictEqual(trie.match('/users/1').handler, null);
+        assert.strictEqual(trie.match('/redirect/').status, 'redirect');
+        assert.strictEqual(trie.match('/missing').status, 'not-found');
+    });
+
+    test('should find handlers and report 405 with the allow list', () => {
+        const trie = build();
+        let m = trie.match('/users/1', 'POST');
+        assert.strictEqual(m.status, 'found');
+        assert.strictEqual(m.handler, 'post');
+        assert.deepStrictEqual(m.params, { id: '1' });
+        m = trie.match('/users/1', 'DELETE');
+        assert.strictEqual(m.status, 'method-not-allowed');
+        assert.strictEqual(m.handler, null);
+        assert.ok(m.node, 'The node is kept for a 405');
+        assert.strictEqual(m.allow, 'GET, POST, HEAD, OPTIONS');
+        assert.strictEqual(trie.match('/missing', 'GET').status, 'not-found');
+        assert.strictEqual(trie.match('/redirect/', 'GET').status, 'redirect');
+        assert.throws(() => trie.match('/users/1', 1), TypeError);
+    });
+
+    test('should handle HEAD and OPTIONS automatically', () => {
+        let trie = build();
+        assert.strictEqual(trie.match('/users/1', 'HEAD').handler, 'get');
+        assert.strictEqual(trie.match('/users/1', 'OPTIONS').status, 'options');
+
+        trie = build({ autoHead: false, autoOptions: false });
+        assert.strictEqual(trie.match('/users/1', 'HEAD').status, 'method-not-allowed');
+        assert.strictEqual(trie.match('/users/1', 'OPTIONS').status, 'method-not-allowed');
+        assert.strictEqual(trie.match('/users/1', 'PUT').allow, 'GET, POST');
+    });
+
+    test('should fall back to ANY handlers', () => {
+        const trie = build();
+        const m = trie.match('/any', 'PATCH');
+        assert.strictEqual(m.status, 'found');
+        assert.strictEqual(m.handler, 'any');
+        assert.strictEqual(trie.match('/any', 'OPTIONS').handler, 'any');
+        assert.strictEqual(trie.define('/any').getHandler('DELETE'), 'any');
+        assert.strictEqual(trie.define('/users/:id').getHandler('DELETE'), null);
+    });
+});
+
+describe('HTTP Handler', () => {
+    let server;
+    let base;
+    const trie = new Trie();
+    trie.define('/users/:id').handle('GET', (req, res) => {
+        res.end(JSON.stringify(req.params));
+    });
+    trie.define('/users/:id').handle('POST', async () => {
+        throw new Error('boom');
+    });
+    trie.define('/docs');
+    trie.registerConstraint('broken', () => {
+        throw new Error('broken constraint');
+    });
+    trie.define('/broken').handle('GET', () => {}, { constraints: { broken: true } });
+
+    const listen = (listener) => new Promise(resolve => {
+        server = http.createServer(listener);
+        server.listen(0, '127.0.0.1', () => {
+            base = `http://127.0.0.1:${server.address().port}`;
+            resolve();
+        });
+    });
+    const close = () => new Promise(resolve => server.close(resolve));
+
+    describe('as a request listener', () => {
+        before(() => listen(createHandler(trie, { redirectStatus: 302 })));
+        after(close);
+
+        test('should call handlers with params', async () => {
+            const res = await fetch(`${base}/users/42?x=1`);
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(await res.json(), { id: '42' });
+        });
+
+        test('should redirect with the configured status', async () => {
+            let res = await fetch(`${base}/users//42?x=1`, { redirect: 'manual' });
+            assert.strictEqual(res.status, 302);
+            assert.strictEqual(res.headers.get('location'), '/users/42?x=1');
+            res = await fetch(`${base}/docs/`, { method: 'DELETE', redirect: 'manual' });
+            assert.strictEqual(res.status, 308);
+            assert.strictEqual(res.headers.get('location'), '/docs');
+        });
+
+        test('should answer 405, OPTIONS, 404 and handler errors', async () => {
+            let res = await fetch(`${base}/users/1`, { method: 'PUT' });
+            assert.strictEqual(res.status, 405);
+            assert.strictEqual(res.headers.get('allow'), 'GET, POST, HEAD, OPTIONS');
+            res = await fetch(`${base}/users/1`, { method: 'OPTIONS' });
+            assert.strictEqual(res.status, 204);
+            assert.strictEqual(res.headers.get('allow'), 'GET, POST, HEAD, OPTIONS');
+            res = await fetch(`${base}/nope`);
+            assert.strictEqual(res.status, 404);
+            res = await fetch(`${base}/users/1`, { method: 'POST' });
+            assert.strictEqual(res.status, 500);
+            res = await fetch(`${base}/broken`);
+            assert.strictEqual(res.status, 500);
+        });
+    });
+
+    describe('as middleware', () => {
+        const errors = [];
+        before(() => {
+            const middleware = createHandler(trie);
+            return listen((req, res) => middleware(req, res, (err) => {
+                if (err) errors.push(err);
+                res.statusCode = err ? 500 : 418;
+                res.end();
+            }));
+        });
+        after(close);
+
+        test('should pass unmatched requests and errors to next', async () => {
+            let res = await fetch(`${base}/nope`);
+            assert.strictEqual(res.status, 418);
+            res = await fetch(`${base}/users/1`, { method: 'POST' });
+            assert.strictEqual(res.status, 500);
+            assert.strictEqual(errors[0].message, 'boom');
+            res = await fetch(`${base}/users/1`);
+            assert.strictEqual(res.status, 200);
+        });
+
+        test('should pass errors thrown while matching to next', async () => {
+            const res = await fetch(`${base}/broken`);
+            assert.strictEqual(res.status, 500);
+            assert.strictEqual(errors[errors.length - 1].message, 'broken constraint');
+        });
+    });
+});
+
+describe('Fetch Dispatcher', () => {
+    const trie = new Trie();
+    trie.define('/users/:id').handle('GET', async (request, params) => Response.json({ params, method: request.method }));
+    trie.define('/docs');
+
+    test('should call handlers with the request and params', async () => {
+        const res = await trie.fetch(new Request('https://example.com/users/42?x=1'));
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(await res.json(), { params: { id: '42' }, method: 'GET' });
+        const head = await trie.fetch(new Request('https://example.com/users/42', { method: 'HEAD' }));
+        assert.strictEqual(head.status, 200);
+    });
+
+    test('should answer redirects with absolute locations', async () => {
+        let res = await trie.fetch(new Request('https://example.com/docs/?a=1'));
+        assert.strictEqual(res.status, 301);
+        assert.strictEqual(res.headers.get('location'), 'https://example.com/docs?a=1');
+        res = await trie.fetch(new Request('https://example.com/docs/', { method: 'POST' }), { methodRedirectStatus: 307 });
+        assert.strictEqual(res.status, 307);
+    });
+
+    test('should answer 405, OPTIONS and 404', async () => {
+        let res = await trie.fetch(new Request('https://example.com/users/1', { method: 'DELETE' }));
+        assert.strictEqual(res.status, 405);
+        assert.strictEqual(res.headers.get('allow'), 'GET, HEAD, OPTIONS');
+        res = await trie.fetch(new Request('https://example.com/users/1', { method: 'OPTIONS' }));
+        assert.strictEqual(res.status, 204);
+        res = await trie.fetch(new Request('https://example.com/nope'));
+        assert.strictEqual(res.status, 404);
+    });
+});
+
+describe('Middleware', () => {
+    test('should collect middleware from the root to the matched node', () => {
+        const trie = new Trie();
+        const global = () => {};
+        const auth = () => {};
+        const audit = () => {};
+        trie.use(global);
+        trie.define('/admin').use(auth);
+        trie.define('/admin/users').use(audit).handle('GET', () => {});
+        trie.define('/public');
+        assert.deepStrictEqual(trie.match('/admin/users').middleware, [global, auth, audit]);
+        assert.deepStrictEqual(trie.match('/admin').middleware, [global, auth]);
+        assert.deepStrictEqual(trie.match('/public').middleware, [global]);
+        assert.deepStrictEqual(trie.match('/nope').middleware, []);
+        assert.throws(() => trie.define('/x').use(null), TypeError);
+    });
+
+    test('should apply middleware of an optional pattern to all its variants', () => {
+        const trie = new Trie();
+        const fn = () => {};
+        trie.define('/docs/:lang?').use(fn);
+        assert.deepStrictEqual(trie.match('/docs').middleware, [fn]);
+        assert.deepStrictEqual(trie.match('/docs/en').middleware, [fn]);
+    });
+
+    test('should keep middleware needed by sibling routes on remove', () => {
+        const trie = new Trie();
+        const auth = () => {};
+        trie.define('/admin').use(auth);
+        trie.define('/admin/users');
+        trie.define('/admin/settings');
+        trie.remove('/admin/users');
+        trie.remove('/admin');
+        assert.deepStrictEqual(trie.match('/admin/settings').middleware, [auth]);
+        trie.remove('/admin/settings');
+        assert.notStrictEqual(trie._findNode('/admin'), null, 'Prefixes with middleware are kept');
+        trie.define('/admin/users');
+        assert.deepStrictEqual(trie.match('/admin/users').middleware, [auth]);
+        trie.remove('/admin/users');
+        trie.define('/other/x');
+        trie.remove('/other/x');
+        assert.strictEqual(trie._findNode('/other'), null, 'Unused prefixes are still pruned');
+    });
+
+    test('should keep group middleware when its last route is removed', () => {
+        const trie = new Trie();
+        const auth = () => {};
+        trie.group('/admin', (admin) => {
+            admin.use(auth);
+            admin.define('/x');
+        });
+        trie.remove('/admin/x');
+        trie.define('/admin/y');
+        assert.deepStrictEqual(trie.match('/admin/y').middleware, [auth]);
+    });
+
+    test('should run middleware in the fetch dispatcher', async () => {
+        const trie = new Trie();
+        const calls = [];
+        trie.use(async (request, params, next) => {
+            calls.push('root');
+            const res = await next();
+            res.headers.set('x-root', '1');
+            return res;
+        });
+        trie.define('/admin').use((request, params, next) => {
+            if (request.headers.get('authorization') == null) return new Response(null, { status: 401 });
+            return next();
+        });
+        trie.define('/admin/:page').handle('GET', (request, params) => new Response(params.page));
+        let res = await trie.fetch(new Request('https://example.com/admin/stats'));
+        assert.strictEqual(res.status, 401);
+        res = await trie.fetch(new Request('https://example.com/admin/stats', { headers: { authorization: 'x' } }));
+        assert.strictEqual(await res.text(), 'stats');
+        assert.strictEqual(res.headers.get('x-root'), '1');
+        assert.deepStrictEqual(calls, ['root', 'root']);
+    });
+
+    test('should run middleware in the http handler', async () => {
+        const trie = new Trie();
+        trie.define('/admin').use((req, res, next) => {
+            req.user = 'tony';
+            next();
+        });
+        trie.define('/admin/me').handle('GET', (req, res) => res.end(req.user));
+        const fail = trie.define('/admin/fail').use((req, res, next) => next(new Error('denied')));
+        fail.handle('GET', () => {});
+        const server = http.createServer(createHandler(trie));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const base = `http://127.0.0.1:${server.address().port}`;
+        try {
+            let res = await fetch(`${base}/admin/me`);
+            assert.strictEqual(await res.text(), 'tony');
+            res = await fetch(`${base}/admin/fail`);
+            assert.strictEqual(res.status, 500);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
+
+describe('Mounting and Groups', () => {
+    const buildUsers = () => {
+        const users = new Trie();
+        users.define('/').handle('GET', 'list');
+        users.define('/:id', { name: 'user' }).handle('GET', 'show');
+        users.define('/:id/posts/:page?');
+        users.define('/:id(^\\d+$)+:undelete');
+        return users;
+    };
+
+    test('should graft routes under a param prefix and merge params', () => {
+        const trie = new Trie();
+        trie.define('/health');
+        const target = trie.mount('/orgs/:orgId/users', buildUsers());
+        assert.strictEqual(target.endpoint, true, 'The mounted "/" route is the prefix');
+        let m = trie.match('/orgs/acme/users', 'GET');
+        assert.strictEqual(m.handler, 'list');
+        assert.deepStrictEqual(m.params, { orgId: 'acme' });
+        m = trie.match('/orgs/acme/users/7', 'GET');
+        assert.strictEqual(m.handler, 'show');
+        assert.deepStrictEqual(m.params, { orgId: 'acme', id: '7' });
+        assert.strictEqual(m.node.pattern, '/orgs/:orgId/users/:id');
+        assert.deepStrictEqual(trie.match('/orgs/a/users/7:undelete').params, { orgId: 'a', id: '7' });
+        assert.deepStrictEqual(trie.match('/orgs/a/users/7/posts').params, { orgId: 'a', id: '7' });
+        assert.strictEqual(trie.match('/orgs/a/users/7/posts/2').node, trie.match('/orgs/a/users/7/posts').node);
+        assert.strictEqual(trie.urlFor('user', { orgId: 'acme', id: 1 }), '/orgs/acme/users/1');
+        assert.ok(trie.match('/health').node);
+        assert.strictEqual(trie.match('/orgs/acme').node, null, 'The prefix itself is not a route');
+    });
+
+    test('should copy middleware and leave the mounted trie untouched', () => {
+        const auth = () => {};
+        const users = buildUsers();
+        users.use(auth);
+        const trie = new Trie();
+        trie.mount('/api', users);
+        assert.deepStrictEqual(trie.match('/api/1').middleware, [auth]);
+        assert.strictEqual(users.match('/1').node.pattern, '/:id');
+        assert.strictEqual(users.match('/api/1').node, null);
+    });
+
+    test('should reuse param name conflict detection', () => {
+        const trie = new Trie();
+        trie.define('/api/:name');
+        assert.throws(() => trie.mount('/api', buildUsers()), /invalid pattern name "id", conflicts with existing ":name"/);
+        const other = new Trie();
+        other.define('/api/users');
+        const users = new Trie();
+        users.define('/users');
+        assert.throws(() => other.mount('/api', users), /already defined/);
+        assert.throws(() => other.mount('/a{/b}', users), /Invalid prefix/);
+        assert.throws(() => other.mount('/a', {}), TypeError);
+    });
+
+    test('should leave the trie unchanged when a mount fails', () => {
+        const trie = new Trie();
+        trie.define('/o/:y/b');
+        const app = new Trie();
+        app.define('/z', { name: 'z' });
+        app.define('/:x/a');
+        assert.throws(() => trie.mount('/o', app), /invalid pattern name "x", conflicts with existing ":y"/);
+        assert.deepStrictEqual(trie.routes().map((route) => route.pattern), ['/o/:y/b']);
+        assert.strictEqual(trie.lookup('z'), null);
+
+        const named = new Trie();
+        named.define('/n', { name: 'z' });
+        assert.throws(() => named.mount('/q', app), /Route name "z" already defined/);
+        assert.deepStrictEqual(named.routes().map((route) => route.pattern), ['/n']);
+        assert.strictEqual(named.root.children.q, undefined);
+
+        const hosts = new Trie();
+        hosts.define('/r/a', { host: 'api.example.com' });
+        const hosted = new Trie();
+        hosted.define('/a', { host: 'api.example.com' });
+        hosted.define('/b');
+        assert.throws(() => hosts.mount('/r', hosted), /already defined/);
+        assert.deepStrictEqual(hosts.routes().map((route) => route.pattern), ['/r/a']);
+    });
+
+    test('should mount at the root', () => {
+        const trie = new Trie();
+        trie.mount('/', buildUsers());
+        assert.strictEqual(trie.match('/', 'GET').handler, 'list');
+        assert.strictEqual(trie.match('/3', 'GET').handler, 'show');
+        assert.strictEqual(trie.toString(), buildUsers().toString());
+    });
+
+    test('should scope define, use and nested groups', () => {
+        const trie = new Trie();
+        const auth = () => {};
+        trie.group('/orgs/:orgId', (org) => {
+            org.use(auth);
+            org.define('/').handle('GET', 'org');
+            org.group('teams', (teams) => {
+                teams.define('/:teamId', { name: 'team' });
+            });
+        });
+        assert.strictEqual(trie.match('/orgs/a', 'GET').handler, 'org');
+        const m = trie.match('/orgs/a/teams/b');
+        assert.deepStrictEqual(m.params, { orgId: 'a', teamId: 'b' });
+        assert.deepStrictEqual(m.middleware, [auth]);
+        assert.strictEqual(trie.lookup('team').pattern, '/orgs/:orgId/teams/:teamId');
+        assert.throws(() => trie.group('/x'), TypeError);
+    });
+});
+
+describe('Route Analysis', () => {
+    test('should report routes shadowed by earlier siblings', () => {
+        const trie = new Trie();
+        trie.define('/a/:id(^-?\\d+$)');
+        trie.define('/a/:n<int>');
+        trie.define('/c/:a+son');
+        trie.define('/c/:b+.json');
+        const errors = trie.analyze().filter(d => d.severity === 'error');
+        assert.deepStrictEqual(errors.map(d => [d.code, d.pattern]), [
+            ['shadowed', '/a/:n<int>'],
+            ['shadowed', '/c/:b+.json']
+        ]);
+        assert.match(errors[0].message, /":n<int>" is always matched by ":id\(\^-\?\\d\+\$\)" first/);
+    });
+
+    test('should report regexp params covered by an earlier regexp sibling', () => {
+        const trie = new Trie();
+        trie.define('/a/:x(^\\d+$)');
+        trie.define('/a/:y(^\\d$)');
+        trie.define('/a/:z(^[0-9]{2,3}$)');
+        trie.define('/a/:w(^\\w$)');
+        trie.define('/b/:x(^\\w+$)');
+        trie.define('/b/:y(^ab$)');
+        trie.define('/b/:z(^a-b$)');
+        trie.define('/c/:x(^\\d{2}$)');
+        trie.define('/c/:y(^\\d+$)');
+        const errors = trie.analyze().filter(d => d.severity === 'error');
+        assert.deepStrictEqual(errors.map(d => d.pattern), ['/a/:y(^\\d$)', '/a/:z(^[0-9]{2,3}$)', '/b/:y(^ab$)']);
+    });
+
+    test('should not report routes reached by backtracking', () => {
+        const trie = new Trie();
+        trie.define('/a/:id(^\\d+$)/x');
+        const regexNode = trie.define('/a/:n(^[0-9]+$)/y');
+        trie.define('/f/:a+.json/x');
+        const suffixNode = trie.define('/f/:b+s.json/y');
+        trie.define('/g/:a(^\\d+$)');
+        trie.define('/g/:b(^\\d$)/z');
+        assert.deepStrictEqual(trie.analyze().filter(d => d.severity === 'error'), []);
+        assert.strictEqual(trie.match('/a/1/y').node, regexNode);
+        assert.strictEqual(trie.match('/f/ids.json/y').node, suffixNode);
+    });
+
+    test('should not report distinguishable siblings', () => {
+        const trie = new Trie();
+        trie.define('/a/:b');
+        trie.define('/a/:c(^x$)');
+        trie.define('/a/:d+:del');
+        trie.define('/a/:e<int>');
+        trie.define('/a/:f*');
+        trie.define('/a/:g.:h');
+        assert.deepStrictEqual(trie.analyze(), []);
+    });
+
+    test('should warn about overlapping suffixes and unanchored regexps', () => {
+        const trie = new Trie();
+        trie.define('/b/:name+.json');
+        trie.define('/b/:other+son');
+        trie.define('/r/:x(a|b)');
+        trie.define('/r/:y(^c)');
+        const warnings = trie.analyze();
+        assert.deepStrictEqual(warnings.map(d => [d.code, d.severity, d.path]), [
+            ['ambiguous-suffix', 'warning', '/b/:other+son'],
+            ['unanchored-regex', 'warning', '/r/:x(a|b)'],
+            ['unanchored-regex', 'warning', '/r/:y(^c)']
+        ]);
+    });
+
+    test('should warn about static segments folded by ignoreCase', () => {
+        let trie = new Trie();
+        trie.define('/Users/list');
+        trie.define('/users/show');
+        const diagnostics = trie.analyze();
+        assert.strictEqual(diagnostics.length, 1);
+        assert.strictEqual(diagnostics[0].code, 'case-folded');
+        assert.strictEqual(diagnostics[0].pattern, '/Users/list');
+
+        trie = new Trie({ ignoreCase: false });
+        trie.define('/Users/list');
+        trie.define('/users/show');
+        assert.deepStrictEqual(trie.analyze(), []);
+    });
+});
+
+describe('Match Explanation', () => {
+    test('should return the same result as match', () => {
+        const trie = new Trie();
+        const node = trie.define('/users/:id');
+        node.handle('GET', () => {});
+        const { matched, steps } = trie.explain('/users/7', 'POST');
+        assert.strictEqual(matched.node, node);
+        assert.strictEqual(matched.status, 'method-not-allowed');
+        assert.deepStrictEqual(matched.params, { id: '7' });
+        assert.deepStrictEqual(steps[steps.length - 1], { type: 'result', status: 'method-not-allowed', message: 'Result: method-not-allowed' });
+    });
+
+    test('should trace static lookups and rejected candidates', () => {
+        const trie = new Trie({ ignoreCase: false });
+        trie.define('/v/:id(^\\d+$)');
+        trie.define('/v/:name+.json');
+        trie.define('/v/:n<int>');
+        const { matched, steps } = trie.explain('/v/abc.xml');
+        assert.strictEqual(matched.node, null);
+        assert.deepStrictEqual(steps.map(step => step.type), ['segment', 'static', 'segment', 'static', 'candidate', 'candidate', 'candidate', 'backtrack', 'result']);
+        assert.deepStrictEqual(steps.filter(step => step.type === 'candidate').map(step => [step.segment, step.reason]), [
+            [':name+.json', 'suffix'],
+            [':id(^\\d+$)', 'regex'],
+            [':n<int>', 'regex']
+        ]);
+        assert.strictEqual(steps[4].message, '":name+.json" rejected: "abc.xml" does not end with ".json"');
+    });
+
+    test('should report conversion failures and accepted params', () => {
+        const trie = new Trie();
+        trie.define('/n/:n<int>');
+        trie.define('/n/:s');
+        const { steps } = trie.explain('/n/99999999999999999999');
+        const candidates = steps.filter(step => step.type === 'candidate');
+        assert.strictEqual(candidates[0].reason, 'conversion');
+        assert.strictEqual(candidates[1].accepted, true);
+        assert.deepStrictEqual(candidates[1].params, { s: '99999999999999999999' });
+    });
+
+    test('should trace the case-insensitive retry', () => {
+        const trie = new Trie();
+        trie.define('/a/:id(^[a-z]+$)');
+        const { matched, steps } = trie.explain('/a/ABC');
+        assert.deepStrictEqual(matched.params, { id: 'ABC' });
+        const retry = steps.find(step => step.type === 'retry');
+        assert.strictEqual(retry.segment, 'abc');
+        assert.strictEqual(steps[steps.indexOf(retry) - 1].reason, 'regex');
+    });
+
+    test('should explain redirects', () => {
+        const trie = new Trie();
+        trie.define('/a/');
+        trie.define('/b');
+        let { steps } = trie.explain('/a?x=1');
+        assert.deepStrictEqual(steps.find(step => step.type === 'tsr').path, '/a/?x=1');
+
+        ({ steps } = trie.explain('/b/'));
+        assert.strictEqual(steps.find(step => step.type === 'tsr').path, '/b');
+
+        ({ steps } = trie.explain('//b'));
+        assert.strictEqual(steps[0].type, 'fixed-path');
+        const fpr = steps.find(step => step.type === 'fpr');
+        assert.strictEqual(fpr.path, '/b');
+        assert.strictEqual(fpr.message, 'Redirect (fpr) to "/b": the path had repeated slashes');
+    });
+
+    test('should trace wildcards, missing endpoints and malformed escapes', () => {
+        const trie = new Trie({ decodeParams: true });
+        trie.define('/static/:path*');
+        trie.define('/x/y');
+        let { steps } = trie.explain('/static/js/app.js');
+        assert.deepStrictEqual(steps.find(step => step.type === 'wildcard'), {
+            type: 'wildcard', name: 'path', value: 'js/app.js', message: 'Wildcard "path" captures "js/app.js"'
+        });
+        ({ steps } = trie.explain('/x'));
+        assert.strictEqual(steps[steps.length - 2].type, 'no-endpoint');
+        ({ steps } = trie.explain('/x/%E0%A4%A'));
+        assert.strictEqual(steps[2].type, 'malformed');
+    });
+});
+
+describe('Backtracking', () => {
+    test('should try the next sibling when a branch dead-ends', () => {
+        const trie = new Trie();
+        const staticNode = trie.define('/users/me/settings');
+        const paramNode = trie.define('/users/:id/profile');
+        let matched = trie.match('/users/me/profile');
+        assert.strictEqual(matched.node, paramNode);
+        assert.deepStrictEqual(matched.params, { id: 'me' });
+        assert.strictEqual(trie.match('/users/me/settings').node, staticNode);
+        assert.strictEqual(trie.match('/users/me/other').node, null);
+    });
+
+    test('should backtrack through params by priority', () => {
+        const trie = new Trie();
+        const regexNode = trie.define('/f/:id(^\\d+$)/a');
+        const plainNode = trie.define('/f/:name/b');
+        const wildcardNode = trie.define('/f/:rest*');
+        assert.strictEqual(trie.match('/f/12/a').node, regexNode);
+        const matched = trie.match('/f/12/b');
+        assert.strictEqual(matched.node, plainNode);
+        assert.deepStrictEqual(matched.params, { name: '12' });
+        const rest = trie.match('/f/12/c');
+        assert.strictEqual(rest.node, wildcardNode);
+        assert.deepStrictEqual(rest.params, { rest: '12/c' });
+    });
+
+    test('should only redirect when no branch matches', () => {
+        const trie = new Trie();
+        trie.define('/a/b/');
+        const paramNode = trie.define('/a/:x');
+        assert.strictEqual(trie.match('/a/b').node, paramNode);
+        trie.define('/c/d/');
+        const matched = trie.match('/c/d');
+        assert.strictEqual(matched.status, 'redirect');
+        assert.strictEqual(matched.tsr, '/c/d/');
+    });
+
+    test('should match the first endpoint matchAll yields, with and without dead ends', () => {
+        const patterns = ['/users/me/settings', '/users/:id/profile', '/Users/:id', '/f/:id(^\\d+$)/a', '/f/:name/b',
+            '/f/:rest*', '/v:major.:minor/s', '/c/d/', '/files/:name+.json', '/files/:file'];
+        const paths = ['/users/me/profile', '/users/me/settings', '/USERS/me', '/f/12/a', '/f/12/b', '/f/12/c',
+            '/V1.2/s', '/c/d', '/files/a.json', '/files/a.txt', '/nope', '/users//me/profile'];
+        for (const options of [{}, { ignoreCase: false }, { fixedPathRedirect: false }]) {
+            const trie = new Trie(options);
+            patterns.forEach(pattern => trie.define(pattern));
+            trie.define('/files', { ignoreCase: false });
+            for (const path of paths) {
+                const [first = null] = trie.matchAll(path);
+                const matched = trie.match(path);
+                assert.strictEqual(matched.node, first === null ? null : first.node, path);
+                assert.deepStrictEqual(matched.params, first === null ? {} : first.params, path);
+            }
+        }
+    });
+
+    test('should trace backtracking', () => {
+        const trie = new Trie();
+        trie.define('/users/me/settings');
+        trie.define('/users/:id/profile');
+        const { steps } = trie.explain('/users/me/profile');
+        const backtrack = steps.find(step => step.type === 'backtrack');
+        assert.strictEqual(backtrack.path, '/users/me');
+        assert.strictEqual(steps[steps.indexOf(backtrack) + 1].message, '":id" accepted');
+    });
+});
+
+describe('Match All', () => {
+    test('should yield every matching endpoint in priority order', () => {
+        const trie = new Trie();
+        const staticNode = trie.define('/files/readme.json');
+        const suffixNode = trie.define('/files/:name+.json');
+        const paramNode = trie.define('/files/:file');
+        const wildcardNode = trie.define('/files/:path*');
+        trie.define('/files/:id(^\\d+$)');
+        const all = Array.from(trie.matchAll('/files/readme.json'));
+        assert.deepStrictEqual(all.map(matched => matched.node), [staticNode, suffixNode, paramNode, wildcardNode]);
+        assert.deepStrictEqual(all.map(matched => matched.params), [
+            {},
+            { name: 'readme' },
+            { file: 'readme.json' },
+            { path: 'readme.json' }
+        ]);
+        assert.deepStrictEqual(Array.from(trie.matchAll('/other')), []);
+    });
+
+    test('should resolve methods and yield each endpoint once', () => {
+        const trie = new Trie();
+        const upper = trie.define('/p/:a(^[A-Z]+$)');
+        upper.handle('GET', () => {});
+        const lower = trie.define('/p/:b');
+        lower.handle('POST', () => {});
+        const all = Array.from(trie.matchAll('/p/ABC', 'GET'));
+        assert.deepStrictEqual(all.map(matched => [matched.node, matched.status]), [
+            [upper, 'found'],
+            [lower, 'method-not-allowed']
+        ]);
+        assert.strictEqual(all[1].allow, 'POST, OPTIONS');
+    });
+
+    test('should be lazy and report fixed path redirects', () => {
+        const trie = new Trie();
+        trie.define('/a/:x');
+        trie.define('/a/:y*');
+        const iterator = trie.matchAll('//a/b?q=1');
+        const first = iterator.next().value;
+        assert.strictEqual(first.status, 'redirect');
+        assert.strictEqual(first.fpr, '/a/b?q=1');
+        assert.strictEqual(first.query.get('q'), '1');
+        assert.strictEqual(Array.from(iterator).length, 1);
+    });
+});
+
+describe('Host Routing', () => {
+    const build = () => {
+        const trie = new Trie();
+        trie.define('/users/:id', { host: ':tenant.example.com', name: 'tenant-user' }).handle('GET', () => 'tenant');
+        trie.define('/users/:id', { host: 'api.example.com' }).handle('GET', () => 'api');
+        trie.define('/users/:id').handle('GET', () => 'default');
+        trie.define('/status', { host: ':sub*.example.com' });
+        return trie;
+    };
+
+    test('should route by host and merge host params', () => {
+        const trie = build();
+        let matched = trie.match('/users/7', 'GET', { host: 'acme.example.com' });
+        assert.strictEqual(matched.handler(), 'tenant');
+        assert.deepStrictEqual(matched.params, { tenant: 'acme', id: '7' });
+        assert.strictEqual(matched.node, trie.lookup('tenant-user'));
+
+        matched = trie.match('/users/7', 'GET', { host: 'API.example.com:8080' });
+        assert.strictEqual(matched.handler(), 'api');
+        assert.deepStrictEqual(matched.params, { id: '7' });
+
+        assert.strictEqual(trie.match('/users/7', 'GET', { host: 'other.org' }).handler(), 'default');
+        assert.strictEqual(trie.match('/users/7', 'GET').handler(), 'default');
+    });
+
+    test('should fall back to lower priority hosts and default routes', () => {
+        const trie = build();
+        let matched = trie.match('/status', null, { host: 'acme.example.com' });
+        assert.strictEqual(matched.status, 'found');
+        assert.deepStrictEqual(matched.params, { sub: 'acme' });
+        matched = trie.match('/status', null, { host: 'a.b.example.com.' });
+        assert.deepStrictEqual(matched.params, { sub: 'a.b' });
+        assert.strictEqual(trie.match('/status', null, { host: 'other.org' }).status, 'not-found');
+
+        const all = Array.from(trie.matchAll('/users/7', 'GET', { host: 'api.example.com' }));
+        assert.deepStrictEqual(all.map(m => m.handler()), ['api', 'tenant', 'default']);
+        assert.deepStrictEqual(all[1].params, { tenant: 'api', id: '7' });
+    });
+
+    test('should match host labels with regexps and apply trie middleware', () => {
+        const trie = new Trie();
+        const log = [];
+        trie.use(() => log.push('root'));
+        trie.define('/', { host: ':region(^(eu|us)$).cdn.io' });
+        const matched = trie.match('/', null, { host: 'eu.cdn.io' });
+        assert.deepStrictEqual(matched.params, { region: 'eu' });
+        assert.strictEqual(matched.middleware.length, 1);
+        assert.strictEqual(trie.match('/', null, { host: 'ap.cdn.io' }).status, 'not-found');
+        assert.throws(() => trie.define('/', { host: 'a..b' }), /Invalid host: "a..b"/);
+        assert.throws(() => trie.define('/', { host: ':x(a.b' }), /Invalid host/);
+        assert.throws(() => trie.match('/', null, { host: 1 }), TypeError);
+        assert.throws(() => trie.define('/a', null), /Options must be an object/);
+        assert.throws(() => trie.define('/a', 'api.example.com'), TypeError);
+        assert.strictEqual(trie.define('/a', undefined).pattern, '/a');
+    });
+
+    test('should list, print, serialize, mount and remove host routes', () => {
+        const trie = build();
+        const routes = trie.routes();
+        assert.deepStrictEqual(routes.map(r => [r.host, r.pattern]), [
+            ['api.example.com', '/users/:id'],
+            [':tenant.example.com', '/users/:id'],
+            [':sub*.example.com', '/status'],
+            ['', '/users/:id']
+        ]);
+        assert.match(trie.toString(), /^@ :tenant\.example\.com\n {2}\/\n {4}users/m);
+
+        const copy = Trie.fromJSON(JSON.stringify(trie), () => () => 'copy');
+        assert.deepStrictEqual(copy.toJSON(), trie.toJSON());
+        assert.deepStrictEqual(copy.match('/users/1', 'GET', { host: 'x.example.com' }).params, { tenant: 'x', id: '1' });
+
+        const app = new Trie();
+        app.mount('/v1', trie);
+        assert.deepStrictEqual(app.match('/v1/users/1', null, { host: 'x.example.com' }).params, { tenant: 'x', id: '1' });
+
+        trie.remove('/users/:id', { host: ':tenant.example.com' });
+        assert.strictEqual(trie.lookup('tenant-user'), null);
+        assert.strictEqual(trie.match('/users/7', 'GET', { host: 'acme.example.com' }).handler(), 'default');
+    });
+
+    test('should pass the request host from createHandler and fetch', async () => {
+        const trie = build();
+        const handler = createHandler(trie);
+        const req = { url: '/users/3', method: 'GET', headers: { host: 'acme.example.com' } };
+        let params;
+        trie.define('/who', { host: ':tenant.example.com' }).handle('GET', (req) => { params = req.params; });
+        handler(Object.assign(req, { url: '/who' }), {});
+        assert.deepStrictEqual(params, { tenant: 'acme' });
+
+        trie.define('/hello', { host: ':tenant.example.com' }).handle('GET', (request, params) => new Response(params.tenant));
+        const response = await trie.fetch(new Request('http://acme.example.com:3000/hello'));
+        assert.strictEqual(await response.text(), 'acme');
+    });
+});
+
+describe('Handler Constraints', () => {
+    const build = () => {
+        const trie = new Trie();
+        const node = trie.define('/items');
+        node.handle('GET', () => 'v2', { constraints: { version: '2.x' } });
+        node.handle('GET', () => 'v2-json', { constraints: { version: '2.x', accept: 'application/json' } });
+        node.handle('GET', () => 'v1', { constraints: { version: '1' } });
+        node.handle('POST', () => 'json', { constraints: { contentType: 'application/json' } });
+        return { trie, node };
+    };
+
+    test('should select the handler whose constraints are met', () => {
+        const { trie, node } = build();
+        const get = headers => trie.match('/items', 'GET', { headers });
+        assert.strictEqual(get({ 'accept-version': '2.1.0', accept: 'application/json' }).handler(), 'v2-json');
+        assert.strictEqual(get({ 'accept-version': '2.1.0', accept: 'text/html' }).handler(), 'v2');
+        assert.strictEqual(get({ 'accept-version': '2.1.0', accept: 'application/*;q=0.5' }).handler(), 'v2-json');
+        assert.strictEqual(get({ 'accept-version': '2.1.0', accept: 'application/json;q=0, */*' }).handler(), 'v2-json',
+            'Excluded by q=0 but accepted by */*');
+        assert.strictEqual(get({ 'accept-version': '1.4.2' }).handler(), 'v1');
+        assert.strictEqual(node.getAllow(), 'GET, POST');
+        assert.strictEqual(node.getHandler('GET'), null, 'getHandler only returns handlers without constraints');
+
+        const headers = new Headers({ 'Content-Type': 'application/json; charset=utf-8' });
+        assert.strictEqual(trie.match('/items', 'POST', { headers }).handler(), 'json');
+    });
+
+    test('should report the failed constraint', () => {
+        const { trie } = build();
+        let matched = trie.match('/items', 'GET', { headers: { 'accept-version': '3.0.0' } });
+        assert.strictEqual(matched.status, 'constraint-failed');
+        assert.strictEqual(matched.constraint, 'version');
+        assert.strictEqual(matched.handler, null);
+        assert.strictEqual(matched.allow, 'GET, POST, HEAD, OPTIONS');
+
+        matched = trie.match('/items', 'HEAD');
+        assert.strictEqual(matched.status, 'constraint-failed', 'HEAD falls back to constrained GET handlers');
+        assert.strictEqual(trie.match('/items', 'DELETE').status, 'method-not-allowed');
+
+        const { steps } = trie.explain('/items', 'POST', { headers: { 'content-type': 'text/plain' } });
+        assert.deepStrictEqual(steps.find(step => step.type === 'constraint'), {
+            type: 'constraint',
+            method: 'POST',
+            name: 'contentType',
+            value: 'application/json',
+            message: '"POST" handler skipped: constraint contentType "application/json" not met'
+        });
+    });
+
+    test('should fall back to the handler without constraints', () => {
+        const { trie, node } = build();
+        node.handle('GET', () => 'default');
+        const matched = trie.match('/items', 'GET', { headers: { 'accept-version': '3.0.0' } });
+        assert.strictEqual(matched.handler(), 'default');
+        assert.strictEqual(matched.constraint, '');
+        assert.strictEqual(trie.match('/items', 'GET').handler(), 'default');
+        assert.throws(() => node.handle('GET', () => {}, { constraints: { accept: 'application/json', version: '2.x' } }),
+            /"GET" already defined with constraints/);
+    });
+
+    test('should support custom constraint strategies', () => {
+        const trie = new Trie();
+        trie.registerConstraint('tenant', (value, context) => context.tenant === value);
+        const node = trie.define('/home');
+        node.handle('GET', () => 'acme', { constraints: { tenant: 'acme' } });
+        assert.throws(() => node.handle('GET', () => 'other', { constraints: { unknown: true } }), /Constraint "unknown" is not registered/);
+        assert.throws(() => node.handle('POST', () => 'other', { constraints: { unknown: true } }), /Constraint "unknown" is not registered/);
+        assert.strictEqual(node.getAllow(), 'GET');
+        assert.strictEqual(trie.match('/home', 'GET', { tenant: 'acme' }).handler(), 'acme');
+        assert.strictEqual(trie.match('/home', 'GET', { tenant: 'x' }).status, 'constraint-failed');
+        assert.throws(() => trie.registerConstraint('tenant', () => true), /Constraint "tenant" already defined/);
+        assert.throws(() => trie.registerConstraint('a-b', () => true), TypeError);
+    });
+
+    test('should list, serialize and mount constrained handlers', () => {
+        const { trie } = build();
+        assert.deepStrictEqual(trie.routes()[0].methods, ['GET', 'POST']);
+
+        const seen = [];
+        const copy = Trie.fromJSON(JSON.stringify(trie), (node, method, constraints) => {
+            seen.push([method, constraints]);
+            return () => method;
+        });
+        assert.deepStrictEqual(seen.map(([method, constraints]) => [method, Object.keys(constraints).length]), [
+            ['GET', 2], ['GET', 1], ['GET', 1], ['POST', 1]
+        ]);
+        assert.deepStrictEqual(copy.toJSON(), trie.toJSON());
+
+        const app = new Trie();
+        app.mount('/api', trie);
+        assert.strictEqual(app.match('/api/items', 'GET', { headers: { 'accept-version': '1.0.0' } }).handler(), 'v1');
+    });
+
+    test('should answer unmet constraints from createHandler and fetch', async () => {
+        const { trie } = build();
+        const handler = createHandler(trie);
+        const res = { headers: {}, setHeader (k, v) { this.headers[k] = v; }, end () { this.ended = true; } };
+        trie.define('/doc').handle('GET', () => {}, { constraints: { accept: 'application/json' } });
+        handler({ url: '/doc', method: 'GET', headers: { accept: 'image/png' } }, res);
+        assert.strictEqual(res.statusCode, 406);
+
+        let response = await trie.fetch(new Request('http://localhost/items', { headers: { 'Accept-Version': '9' } }));
+        assert.strictEqual(response.status, 404);
+        trie.define('/ok').handle('GET', () => new Response('ok'), { constraints: { accept: 'text/plain' } });
+        response = await trie.fetch(new Request('http://localhost/ok', { headers: { Accept: 'text/*' } }));
+        assert.strictEqual(await response.text(), 'ok');
+    });
+});
+
+describe('Compiled Matcher', () => {
+    const patterns = [
+        '/',
+        '/users',
+        '/users/',
+        '/users/me/settings',
+        '/users/:id',
+        '/users/:id/profile',
+        '/users/:id(^\\d+$)/posts/:post<int>',
+        '/files/:name+.json',
+        '/files/:name(^[a-z]+$)+.txt',
+        '/files/:path*',
+        '/static/:path*',
+        '/v:major.:minor/status',
+        '/api/:type/:ID(^\\d+$)+:cancel',
+        '/api/batch',
+        '/Docs/:lang?/:page?',
+        '/dates/:day<date>',
+        '/x/::literal',
+        '/a/b/c/',
+        '/a/:b/d'
+    ];
+    const segments = ['', 'users', 'USERS', 'me', 'Me', '42', 'abc', 'settings', 'profile', 'posts', '7', 'x.json', 'abc.txt',
+        'A1.txt', 'files', 'static', 'v1.2', 'status', 'api', 'task', '12:cancel', 'batch', 'docs', 'en', 'intro', 'dates',
+        '2024-02-30', '2024-02-29', 'x', ':literal', 'a', 'b', 'c', 'd', '%41', '%E0%A4%A', 'İ', 'ß', '.', '..', '%2e',
+        'Cafe\u0301'];
+
+    // Deterministic paths built from the segments above
+    const paths = () => {
+        const result = ['/', '//', '//users', '/users//me', '/users?x=1', '/users#top'];
+        let seed = 7;
+        const next = () => (seed = (seed * 1103515245 + 12345) % 2147483648);
+        for (let i = 0; i < 600; i++) {
+            const length = 1 + next() % 4;
+            let path = '';
+            for (let j = 0; j < length; j++) {
+                path += '/' + segments[next() % segments.length];
+            }
+            result.push(path);
+        }
+        return result;
+    };
+
+    const build = options => {
+        const trie = new Trie(options);
+        trie.use(() => {});
+        for (const pattern of patterns) {
+            const node = trie.define(pattern);
+            node.handle('GET', () => pattern);
+        }
+        trie.define('/users/:id').use(() => {});
+        trie.define('/users/:id').handle('POST', () => 'post', { constraints: { version: '2.x' } });
+        return trie;
+    };
+
+    const assertSame = (actual, expected, path) => {
+        for (const field of ['node', 'status', 'fpr', 'tsr', 'handler', 'allow', 'constraint']) {
+            assert.strictEqual(actual[field], expected[field], `${field} of ${path}`);
+        }
+        assert.deepStrictEqual(actual.params, expected.params, `params of ${path}`);
+        assert.deepStrictEqual(actual.middleware, expected.middleware, `middleware of ${path}`);
+        assert.strictEqual(actual.query.toString(), expected.query.toString(), `query of ${path}`);
+        assert.ok(actual instanceof expected.constructor);
+    };
+
+    const optionSets = [
+        {},
+        { ignoreCase: false },
+        { fixedPathRedirect: false, trailingSlashRedirect: false },
+        { decodeParams: true },
+        { ignoreCase: false, decodeParams: true, trailingSlashRedirect: false },
+        { normalizePath: true }
+    ];
+    for (const options of optionSets) {
+        test(`should match like the interpreted matcher with ${JSON.stringify(options)}`, () => {
+            const trie = build(options);
+            const match = trie.compile();
+            const context = { headers: { 'accept-version': '2.0.1' } };
+            for (const path of paths()) {
+                assertSame(match(path), trie.match(path), path);
+                assertSame(match(path, 'GET'), trie.match(path, 'GET'), path);
+                assertSame(match(path, 'POST', context), trie.match(path, 'POST', context), path);
+            }
+        });
+    }
+
+    test('should be generated again after define and remove', () => {
+        const trie = new Trie();
+        trie.define('/a/:id');
+        const match = trie.compile();
+        assert.deepStrictEqual(match('/a/b').params, { id: 'b' });
+        const node = trie.define('/a/b');
+        assert.strictEqual(match('/a/b').node, node);
+        trie.remove('/a/b');
+        assert.deepStrictEqual(match('/a/b').params, { id: 'b' });
+        trie.remove('/a/:id');
+        assert.strictEqual(match('/a/b').status, 'not-found');
+
+        const api = new Trie();
+        api.define('/items/:id');
+        trie.mount('/api', api);
+        assert.deepStrictEqual(match('/api/items/3').params, { id: '3' });
+        trie.group('/admin', scope => scope.define('/users'));
+        assert.strictEqual(match('/admin/users').status, 'found');
+    });
+
+    test('should match host routes and validate arguments', () => {
+        const trie = new Trie();
+        trie.define('/users/:id', { host: ':tenant.example.com' });
+        const match = trie.compile();
+        assert.deepStrictEqual(match('/users/1', null, { host: 'acme.example.com' }).params, { tenant: 'acme', id: '1' });
+        trie.define('/users/:id/edit', { host: ':tenant.example.com' });
+        assert.strictEqual(match('/users/1/edit', null, { host: 'acme.example.com' }).status, 'found');
+        assert.throws(() => match('users'), /Path is not start with "\/"/);
+        assert.throws(() => match('/', 1), TypeError);
+    });
+});
+
+describe('OpenAPI', () => {
+    const build = () => {
+        const trie = new Trie();
+        trie.define('/users/:id(^\\d+$)').handle('GET', () => {}, { meta: { summary: 'Get a user', tags: ['users'] } });
+        trie.define('/users/:id(^\\d+$)').handle('DELETE', () => {});
+        trie.define('/files/:name+.json').handle('GET', () => {}, { meta: { operationId: 'getFile' } });
+        trie.define('/static/:path*').handle('ANY', () => {});
+        trie.define('/v/:major.:minor<int>/status');
+        trie.define('/docs/:lang?');
+        trie.define('/x/::literal');
+        trie.define('/tenant', { host: ':tenant.example.com' });
+        return trie;
+    };
+
+    test('should export the routes as OpenAPI paths', () => {
+        const paths = build().toOpenAPI();
+        assert.deepStrictEqual(Object.keys(paths), [
+            '/users/{id}', '/files/{name}.json', '/static/{path}', '/v/{major}.{minor}/status', '/docs/{lang}', '/docs', '/x/:literal'
+        ]);
+        assert.deepStrictEqual(paths['/users/{id}'], {
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^\\d+$' } }],
+            get: { responses: { default: { description: 'Default response' } }, summary: 'Get a user', tags: ['users'] },
+            delete: { responses: { default: { description: 'Default response' } } }
+        });
+        assert.strictEqual(paths['/files/{name}.json'].get.operationId, 'getFile');
+        assert.deepStrictEqual(paths['/static/{path}'], {
+            parameters: [{ name: 'path', in: 'path', required: true, schema: { type: 'string', 'x-catch-all': true } }]
+        });
+        assert.deepStrictEqual(paths['/v/{major}.{minor}/status'].parameters.map(p => [p.name, p.schema]), [
+            ['major', { type: 'string' }],
+            ['minor', { type: 'integer' }]
+        ]);
+        assert.deepStrictEqual(paths['/docs'], {});
+    });
+
+    test('should describe custom types', () => {
+        const trie = new Trie();
+        trie.registerType('hex', { regex: /^[0-9a-f]+$/ });
+        trie.define('/c/:color<hex>');
+        trie.define('/d/:day<date>');
+        const paths = trie.toOpenAPI();
+        assert.deepStrictEqual(paths['/c/{color}'].parameters[0].schema, { type: 'string', pattern: '^[0-9a-f]+$', 'x-type': 'hex' });
+        assert.deepStrictEqual(paths['/d/{day}'].parameters[0].schema, { type: 'string', format: 'date' });
+    });
+
+    test('should define a trie from OpenAPI paths', () => {
+        const operations = [];
+        const trie = Trie.fromOpenAPI({
+            openapi: '3.0.3',
+            paths: {
+                '/pets/{petId}': {
+                    parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }],
+                    get: { summary: 'Info for a pet', responses: { 200: { description: 'A pet' } } }
+                },
+                '/pets/{id}/photos/{file}.{ext}': {
+                    put: {
+                        parameters: [{ name: 'ext', in: 'path', required: true, schema: { type: 'string', pattern: '^(png|jpg)$' } }],
+                        responses: {}
+                    }
+                }
+            }
+        }, (node, method, operation) => {
+            operations.push([method, operation.summary]);
+            return () => method;
+        });
+        assert.deepStrictEqual(operations, [['GET', 'Info for a pet'], ['PUT', undefined]]);
+        let matched = trie.match('/pets/7', 'GET');
+        assert.deepStrictEqual(matched.params, { petId: 7 });
+        assert.strictEqual(matched.handler(), 'GET');
+        assert.strictEqual(matched.node.meta.GET.summary, 'Info for a pet');
+        assert.strictEqual(trie.match('/pets/seven').node, null);
+        matched = trie.match('/pets/7/photos/cat.png', 'PUT');
+        assert.deepStrictEqual(matched.params, { id: '7', file: 'cat', ext: 'png' });
+        assert.strictEqual(trie.match('/pets/7/photos/cat.gif').node, null);
+    });
+
+    test('should round trip and validate the paths', () => {
+        const trie = build();
+        const paths = trie.toOpenAPI();
+        const copy = Trie.fromOpenAPI(paths, () => () => {});
+        assert.deepStrictEqual(copy.toOpenAPI(), paths);
+        assert.deepStrictEqual(copy.match('/static/a/b').params, { path: 'a/b' });
+        assert.deepStrictEqual(copy.match('/x/:literal').status, 'found');
+        const conflicting = new Trie();
+        conflicting.define('/a/:id').handle('GET', () => {});
+        conflicting.define('/a/:id(^\\d+$)').handle('POST', () => {});
+        assert.throws(() => conflicting.toOpenAPI(), /Pattern "\/a\/:id" conflicts with "\/a\/:id\(\^\\d\+\$\)" as OpenAPI path "\/a\/{id}"/);
+        const prefixed = new Trie();
+        prefixed.define('/v:major.:minor/status');
+        prefixed.define('/t:a::b:c');
+        const prefixedPaths = prefixed.toOpenAPI();
+        assert.deepStrictEqual(Object.keys(prefixedPaths), ['/v{major}.{minor}/status', '/t{a}:b{c}']);
+        const prefixedCopy = Trie.fromOpenAPI(prefixedPaths, () => () => {});
+        assert.deepStrictEqual(prefixedCopy.toOpenAPI(), prefixedPaths);
+        assert.deepStrictEqual(prefixedCopy.match('/v3.1/status').params, { major: '3', minor: '1' });
+        assert.deepStrictEqual(prefixedCopy.match('/tx:by').params, { a: 'x', c: 'y' });
+        assert.throws(() => Trie.fromOpenAPI({ '/a/v{id}': {} }), /Unsupported path template: "\/a\/v{id}"/);
+        assert.throws(() => Trie.fromOpenAPI({ '/a': { get: {} } }), /Handler resolver is required for "\/a"/);
+        assert.throws(() => Trie.fromOpenAPI(null), TypeError);
+    });
+
+    test('should keep metadata when serialized, mounted and removed', () => {
+        const trie = build();
+        const copy = Trie.fromJSON(JSON.stringify(trie), () => () => {});
+        assert.deepStrictEqual(copy.toOpenAPI(), trie.toOpenAPI());
+        const app = new Trie();
+        app.mount('/api', trie);
+        assert.strictEqual(app.toOpenAPI()['/api/users/{id}'].get.summary, 'Get a user');
+        const node = trie.define('/users/:id(^\\d+$)');
+        trie.remove('/users/:id(^\\d+$)');
+        assert.deepStrictEqual(Object.keys(node.meta), []);
+    });
+});
+
+describe('Route Options', () => {
+    test('should honor the nearest ignoreCase setting', () => {
+        const trie = new Trie({ ignoreCase: false });
+        trie.configure('/docs', { ignoreCase: true });
+        trie.define('/docs/Intro');
+        trie.define('/docs/:page/Edit', { ignoreCase: false });
+        trie.define('/Api/Users');
+        assert.strictEqual(trie.match('/DOCS/intro').node, trie.define('/docs/Intro'));
+        assert.deepStrictEqual(trie.match('/docs/x/Edit').params, { page: 'x' });
+        assert.strictEqual(trie.match('/Docs/x/Edit').node, null);
+        assert.strictEqual(trie.match('/docs/x/edit').node, null);
+        assert.strictEqual(trie.match('/api/users').node, null);
+        assert.strictEqual(trie.match('/Api/Users').status, 'found');
+
+        const other = new Trie();
+        other.define('/Files/:name', { ignoreCase: false });
+        other.define('/users');
+        assert.strictEqual(other.match('/files/a').node, null);
+        assert.strictEqual(other.match('/Files/a').status, 'found');
+        assert.strictEqual(other.match('/USERS').status, 'found');
+        assert.strictEqual(other.compile()('/files/a').node, null);
+    });
+
+    test('should honor the route ignoreCase in multi-param segments', () => {
+        const trie = new Trie();
+        trie.define('/f/:a.:b.JSON', { ignoreCase: false });
+        trie.define('/g/:a.:b.Json');
+        assert.deepStrictEqual(trie.match('/f/x.y.JSON').params, { a: 'x', b: 'y' });
+        assert.strictEqual(trie.match('/f/x.y.json').node, null);
+        assert.deepStrictEqual(trie.match('/G/X.y.JSON').params, { a: 'X', b: 'y' });
+        assert.strictEqual(trie.compile()('/g/x.y.json').status, 'found');
+
+        const strict = new Trie({ ignoreCase: false });
+        strict.define('/h/:a.:b.JSON', { ignoreCase: true });
+        strict.define('/k/:a.:b.JSON');
+        assert.deepStrictEqual(strict.match('/h/x.y.json').params, { a: 'x', b: 'y' });
+        assert.deepStrictEqual(strict.match('/h/X.y.Json').params, { a: 'X', b: 'y' });
+        assert.strictEqual(strict.match('/k/x.y.json').node, null);
+        assert.strictEqual(strict.match('/k/x.y.JSON').status, 'found');
+        const copy = Trie.fromJSON(JSON.stringify(strict));
+        assert.strictEqual(copy.match('/h/x.y.json').status, 'found');
+        assert.strictEqual(copy.match('/k/x.y.json').node, null);
+    });
+
+    test('should honor the nearest redirect settings', () => {
+        const trie = new Trie();
+        trie.define('/a/b');
+        trie.define('/plain/b', { trailingSlashRedirect: false, fixedPathRedirect: false });
+        trie.group('/admin', (admin) => {
+            admin.configure({ trailingSlashRedirect: false });
+            admin.define('/users/');
+        });
+        assert.strictEqual(trie.match('/a/b/').tsr, '/a/b');
+        assert.strictEqual(trie.match('/plain/b/').tsr, '');
+        assert.strictEqual(trie.match('/plain/b/').node, null);
+        assert.strictEqual(trie.match('/admin/users').tsr, '');
+        assert.strictEqual(trie.match('//a//b').fpr, '/a/b');
+        assert.strictEqual(trie.match('//plain//b').fpr, '');
+        assert.strictEqual(trie.match('//plain//b').node, null);
+
+        const strict = new Trie({ fixedPathRedirect: false, trailingSlashRedirect: false });
+        strict.define('/a/b', { fixedPathRedirect: true, trailingSlashRedirect: true });
+        strict.define('/c/d');
+        assert.strictEqual(strict.match('/a//b').fpr, '/a/b');
+        assert.strictEqual(strict.match('/a/b/').tsr, '/a/b');
+        assert.strictEqual(strict.match('/c//d').node, null);
+        assert.strictEqual(strict.match('/c//d').fpr, '');
+        assert.strictEqual(Array.from(strict.matchAll('/a//b')).length, 1);
+        assert.ok(strict.explain('/c//d').steps.some((step) => step.type === 'raw-path'));
+    });
+
+    test('should keep subtree options when routes are removed', () => {
+        const trie = new Trie();
+        trie.configure('/hooks', { ignoreCase: false });
+        trie.define('/hooks/A');
+        trie.remove('/hooks/A');
+        trie.define('/hooks/B');
+        assert.strictEqual(trie.match('/hooks/b').node, null);
+        assert.strictEqual(trie.match('/hooks/B').status, 'found');
+    });
+
+    test('should keep route options when serialized and mounted', () => {
+        const trie = new Trie();
+        trie.define('/Files/:name', { ignoreCase: false, trailingSlashRedirect: false });
+        const copy = Trie.fromJSON(JSON.stringify(trie), () => () => {});
+        assert.strictEqual(copy.match('/files/a').node, null);
+        assert.strictEqual(copy.match('/Files/a/').tsr, '');
+        const app = new Trie();
+        app.mount('/v1', trie);
+        assert.strictEqual(app.match('/v1/files/a').node, null);
+        assert.strictEqual(app.match('/v1/Files/a').status, 'found');
+        assert.strictEqual(app.match('/V1/Files/a').node, null);
+        assert.throws(() => trie.define('/x', { ignoreCase: 'no' }), /Option "ignoreCase" must be a boolean/);
+    });
+
+    test('should reject malformed patterns when strict', () => {
+        const trie = new Trie({ strict: true });
+        assert.throws(() => trie.define('/a(b'), /Invalid pattern: "\/a\(b"/);
+        assert.throws(() => trie.define('/a/:name+'), /Invalid pattern: "\/a\/:name\+"/);
+        assert.throws(() => trie.define('/x<y>'), /Invalid pattern/);
+        assert.strictEqual(trie.match('/a(b').node, null);
+        assert.strictEqual(trie.root.children.a, undefined);
+        trie.define('/a/:name(^\\d+$)/::b/:file.:ext');
+        trie.define('/a(b', { strict: false });
+
+        const lenient = new Trie();
+        lenient.define('/a(b');
+        assert.throws(() => lenient.define('/c/:name+', { strict: true }), /Invalid pattern/);
+        const node = lenient.define('/d/:name');
+        assert.throws(() => lenient.define('/d/:name+', { strict: true }), /Invalid pattern: "\/d\/:name\+"/);
+        assert.strictEqual(lenient.build('/d/:name', { name: 'x' }), '/d/x');
+        assert.strictEqual(lenient.remove('/d/:name').node, node);
+        assert.strictEqual(lenient.match('/d/x').node, null);
+        assert.strictEqual(new Trie(lenient.toJSON().options).strict, false);
+    });
+});
+
+describe('Path Normalization', () => {
+    const build = (options) => {
+        const trie = new Trie(Object.assign({ normalizePath: true }, options));
+        trie.define('/a/b');
+        trie.define('/admin/:page');
+        trie.define('/café');
+        trie.define('/dir/');
+        return trie;
+    };
+
+    test('should redirect dot segments to the canonical path', () => {
+        const trie = build();
+        assert.strictEqual(trie.match('/a/./b').fpr, '/a/b');
+        assert.strictEqual(trie.match('/a/x/../b?q=1').fpr, '/a/b?q=1');
+        assert.strictEqual(trie.match('/public/%2e%2E/admin/users').fpr, '/admin/users');
+        assert.deepStrictEqual(trie.match('/public/../admin/users').params, { page: 'users' });
+        assert.strictEqual(trie.match('/dir/x/..').fpr, '/dir/');
+        assert.strictEqual(trie.match('/a/b').status, 'found');
+        assert.strictEqual(trie.match('/a/b/.').fpr, '/a/b');
+        assert.strictEqual(trie.compile()('/a/x/../b').fpr, '/a/b');
+        assert.strictEqual(new Trie().match('/a/./b').node, null);
+    });
+
+    test('should match the canonical path without fixed path redirects', () => {
+        let trie = build({ fixedPathRedirect: false });
+        let matched = trie.match('/a/./b');
+        assert.strictEqual(matched.status, 'found');
+        assert.strictEqual(matched.fpr, '');
+        assert.strictEqual(matched.node.pattern, '/a/b');
+        assert.deepStrictEqual(trie.match('/public/../admin/users').params, { page: 'users' });
+        assert.strictEqual(trie.compile()('/a/x/../b').status, 'found');
+        assert.strictEqual(trie.match('/../a/b').status, 'not-found');
+
+        trie = build();
+        trie.define('/raw/:id', { fixedPathRedirect: false });
+        matched = trie.match('/raw/./7');
+        assert.strictEqual(matched.status, 'found');
+        assert.strictEqual(matched.fpr, '');
+        assert.deepStrictEqual(matched.params, { id: '7' });
+        assert.strictEqual(trie.explain('/raw/x/../7').matched.status, 'found');
+        assert.strictEqual(trie.match('/a/./b').fpr, '/a/b');
+    });
+
+    test('should not match dot segments going above the root', () => {
+        const trie = build();
+        assert.strictEqual(trie.match('/../a/b').status, 'not-found');
+        assert.strictEqual(trie.match('/a/../../a/b').fpr, '');
+        assert.strictEqual(trie.compile()('/../a/b').status, 'not-found');
+        assert.deepStrictEqual(Array.from(trie.matchAll('/%2e%2e/a/b')), []);
+        const { steps } = trie.explain('/../a/b');
+        assert.strictEqual(steps[0].type, 'normalize');
+        assert.strictEqual(steps[0].path, null);
+    });
+
+    test('should apply unicode NFC', () => {
+        const trie = build();
+        const matched = trie.match('/cafe\u0301');
+        assert.strictEqual(matched.status, 'redirect');
+        assert.strictEqual(matched.fpr, '/café');
+        assert.strictEqual(trie.match('/café').status, 'found');
+        assert.strictEqual(Trie.fromJSON(trie.toJSON(), () => () => {}).normalizePath, true);
+    });
+
+    test('should apply unicode NFC to percent-encoded paths', async () => {
+        const trie = build({ decodeParams: true });
+        trie.define('/café/:name');
+        trie.define('/café').handle('GET', () => new Response('café'));
+        let res = await trie.fetch(new Request('https://example.com/cafe\u0301?a=1'));
+        assert.strictEqual(res.status, 301);
+        assert.strictEqual(res.headers.get('location'), 'https://example.com/caf%C3%A9?a=1');
+        res = await trie.fetch(new Request(res.headers.get('location')));
+        assert.strictEqual(await res.text(), 'café');
+        assert.strictEqual(trie.match('/cafe%cc%81/a%2Fe%CC%81').fpr, '/caf%C3%A9/a%2F%C3%A9');
+        assert.deepStrictEqual(trie.match('/caf%C3%A9/a%2F%C3%A9').params, { name: 'a/é' });
+        assert.strictEqual(trie.match('/cafe%CC/x').status, 'not-found');
+    });
+
+    test('should keep the casing of params with ignoreCase', () => {
+        const trie = new Trie();
+        trie.define('/files/:name+.json');
+        trie.define('/v:major.:minor/:id(^[a-z]+$)');
+        trie.define('/to/:name(^[a-z]+$)+.txt');
+        assert.deepStrictEqual(trie.match('/FILES/ReadMe.JSON').params, { name: 'ReadMe' });
+        assert.deepStrictEqual(trie.match('/V1.2X/AbC').params, { major: '1', minor: '2X', id: 'AbC' });
+        assert.deepStrictEqual(trie.match('/to/Notes.TXT').params, { name: 'Notes' });
+        assert.deepStrictEqual(trie.compile()('/V1.2X/AbC').params, { major: '1', minor: '2X', id: 'AbC' });
+        assert.deepStrictEqual(trie.compile()('/FILES/ReadMe.JSON').params, { name: 'ReadMe' });
+    });
+});
+
+describe('Route Versioning', () => {
+    const build = () => {
+        const trie = new Trie();
+        trie.define('/users').handle('GET', () => 'users');
+        trie.define('/users/:id', { version: 1 }).handle('GET', () => 'v1');
+        trie.define('/users/:id', { version: 2, name: 'user-v2' }).handle('GET', () => 'v2');
+        trie.define('/users/:id', { version: 3 }).handle('GET', () => 'v3');
+        trie.define('/users/me', { version: 3 }).handle('GET', () => 'me');
+        trie.define('/posts/:id').handle('GET', () => 'posts');
+        trie.define('/posts/:id', { version: 2 }).handle('GET', () => 'posts-v2');
+        return trie;
+    };
+
+    test('should resolve the highest version at or below the requested one', () => {
+        const trie = build();
+        let matched = trie.match('/users/7', 'GET', { version: 2 });
+        assert.strictEqual(matched.handler(), 'v2');
+        assert.strictEqual(matched.version, 2);
+        assert.strictEqual(matched.node, trie.lookup('user-v2'));
+        assert.deepStrictEqual(matched.params, { id: '7' });
+        assert.strictEqual(trie.match('/users/7', 'GET', { version: 5 }).handler(), 'v3');
+        assert.strictEqual(trie.match('/users/7', 'GET').version, 3);
+        assert.strictEqual(trie.match('/users/7', 'GET', { version: 0 }).status, 'not-found');
+        matched = trie.match('/posts/7', 'GET', { version: 1 });
+        assert.strictEqual(matched.handler(), 'posts');
+        assert.strictEqual(matched.version, null);
+        assert.strictEqual(trie.match('/users', 'GET', { version: 9 }).handler(), 'users');
+    });
+
+    test('should fall back to other routes when a version is missing', () => {
+        const trie = build();
+        assert.strictEqual(trie.match('/users/me', 'GET', { version: 3 }).handler(), 'me');
+        const matched = trie.match('/users/me', 'GET', { version: 2 });
+        assert.strictEqual(matched.handler(), 'v2');
+        assert.deepStrictEqual(matched.params, { id: 'me' });
+        const { steps } = trie.explain('/users/me', 'GET', { version: 2 });
+        assert.ok(steps.some((step) => step.type === 'version' && step.version === null));
+        assert.strictEqual(trie.compile()('/users/me', 'GET', { version: 2 }).handler(), 'v2');
+        assert.throws(() => trie.match('/users/7', 'GET', { version: '2' }), /Version must be a number/);
+        assert.throws(() => trie.define('/a', { version: 1.5 }), /Version must be a non-negative integer/);
+    });
+
+    test('should share nodes and apply version middleware', () => {
+        const trie = build();
+        const v3 = trie.define('/users/:id', { version: 3 });
+        assert.strictEqual(trie.define('/users/:id', { version: 3 }), v3);
+        assert.strictEqual(v3.url({ id: 7 }), '/users/7');
+        const auth = () => {};
+        v3.use(auth);
+        assert.deepStrictEqual(trie.match('/users/7', 'GET', { version: 3 }).middleware, [auth]);
+        assert.deepStrictEqual(trie.match('/users/7', 'GET', { version: 2 }).middleware, []);
+        assert.deepStrictEqual(trie.routes().filter((route) => route.pattern === '/users/:id').map((route) => route.version), [1, 2, 3]);
+        assert.ok(trie.toString().includes('/users/:id v1 [GET] v2 [GET] v3 [GET]'));
+        assert.deepStrictEqual(Object.keys(trie.toOpenAPI()), ['/users', '/users/me', '/users/{id}', '/posts/{id}']);
+        trie.define('/users/:id', { version: 3 }).handle('PUT', () => {});
+        assert.deepStrictEqual(Object.keys(trie.toOpenAPI()['/users/{id}']), ['parameters', 'get', 'put']);
+        trie.define('/users/:id').handle('GET', () => 'v0');
+        assert.deepStrictEqual(Object.keys(trie.toOpenAPI()['/users/{id}']), ['parameters', 'get']);
+        assert.strictEqual(trie.match('/users/7', 'GET', { version: 0 }).handler(), 'v0');
+        assert.strictEqual(trie.match('/users/7', 'GET', { version: 1 }).handler(), 'v1');
+    });
+
+    test('should remove versions', () => {
+        const trie = build();
+        trie.remove('/users/:id', { version: 2 });
+        assert.strictEqual(trie.lookup('user-v2'), null);
+        assert.strictEqual(trie.match('/users/7', 'GET', { version: 2 }).handler(), 'v1');
+        trie.remove('/posts/:id', { version: 2 });
+        assert.strictEqual(trie.define('/posts/:id').versions, null);
+        assert.strictEqual(trie.match('/posts/7', 'GET', { version: 2 }).version, null);
+        trie.remove('/users/:id', { version: 1 });
+        trie.remove('/users/:id', { version: 3 });
+        assert.strictEqual(trie.match('/users/7', 'GET').node, null);
+        trie.remove('/users/me');
+        assert.strictEqual(trie.match('/users/me', 'GET', { version: 3 }).node, null);
+    });
+
+    test('should keep versions when serialized and mounted', () => {
+        const trie = build();
+        const copy = Trie.fromJSON(JSON.stringify(trie), (node, method) => () => `${node.version}`);
+        assert.strictEqual(copy.match('/users/7', 'GET', { version: 2 }).handler(), '2');
+        assert.strictEqual(copy.match('/posts/7', 'GET', { version: 1 }).handler(), 'null');
+        assert.strictEqual(copy.lookup('user-v2').version, 2);
+        assert.strictEqual(copy.match('/users/7', 'GET', { version: 0 }).node, null);
+        const app = new Trie();
+        app.mount('/api', trie);
+        assert.strictEqual(app.match('/api/users/7', 'GET', { version: 2 }).handler(), 'v2');
+        assert.strictEqual(app.match('/api/users/me', 'GET', { version: 1 }).handler(), 'v1');
+        assert.strictEqual(app.lookup('user-v2').version, 2);
+    });
+});
+
+describe('Events', () => {
+    const record = (trie) => {
+        const events = [];
+        for (const event of ['define', 'handle', 'remove', 'match', 'miss']) {
+            trie.on(event, (payload) => events.push(Object.assign({ event }, payload)));
+        }
+        return events;
+    };
+
+    test('should notify route changes', () => {
+        const trie = new Trie();
+        const events = record(trie);
+        const handler = () => {};
+        const node = trie.define('/users/:id');
+        node.handle('GET', handler, { constraints: { version: '2.x' } });
+        trie.define('/status', { host: 'api.example.com' }).handle('GET', handler);
+        trie.remove('/users/:id');
+        assert.deepStrictEqual(events.map((e) => [e.event, e.pattern, e.method]), [
+            ['define', '/users/:id', ''],
+            ['handle', '/users/:id', 'GET'],
+            ['define', '/status', ''],
+            ['handle', '/status', 'GET'],
+            ['remove', '/users/:id', '']
+        ]);
+        assert.strictEqual(events[0].node, node);
+        assert.strictEqual(events[1].handler, handler);
+        assert.deepStrictEqual(events[1].constraints, { version: '2.x' });
+        assert.strictEqual(events[4].node, node);
+
+        const users = new Trie();
+        users.define('/:id').handle('GET', handler);
+        const app = new Trie();
+        const mounted = record(app);
+        app.mount('/users', users);
+        assert.deepStrictEqual(mounted.map((e) => [e.event, e.pattern, e.method]), [
+            ['define', '/users/:id', ''],
+            ['handle', '/users/:id', 'GET']
+        ]);
+    });
+
+    test('should only notify defines creating a route or version', () => {
+        const trie = new Trie();
+        trie.define('/a');
+        trie.define('/b', { version: 1 });
+        const events = record(trie);
+        trie.define('/a').handle('POST', () => {});
+        trie.define('/b', { version: 1 });
+        trie.define('/b', { version: 2 });
+        trie.define('/b');
+        trie.define('/b');
+        trie.define('/c/:x?');
+        trie.define('/c/:x?');
+        assert.deepStrictEqual(events.map((e) => [e.event, e.pattern, e.method]), [
+            ['handle', '/a', 'POST'],
+            ['define', '/b', ''],
+            ['define', '/b', ''],
+            ['define', '/c/:x?', '']
+        ]);
+        assert.strictEqual(events[1].node.version, 2);
+        assert.strictEqual(events[2].node.version, null);
+    });
+
+    test('should notify matches and misses', () => {
+        const trie = new Trie();
+        const node = trie.define('/a');
+        const events = record(trie);
+        trie.match('/a', 'GET');
+        trie.match('/b');
+        trie.compile()('/a/');
+        assert.deepStrictEqual(events.map((e) => [e.event, e.path, e.method, e.matched.status]), [
+            ['match', '/a', 'GET', 'method-not-allowed'],
+            ['miss', '/b', '', 'not-found'],
+            ['miss', '/a/', '', 'redirect']
+        ]);
+        assert.strictEqual(events[0].node, node);
+        assert.strictEqual(events[0].pattern, '/a');
+        const listener = () => assert.fail('removed listener called');
+        trie.on('match', listener).off('match', listener);
+        trie.match('/a');
+        assert.throws(() => trie.on('change', () => {}), /Unknown event: "change"/);
+        assert.throws(() => trie.on('match', null), /Listener must be a function/);
+    });
+
+    test('should report the nodes remove prunes', () => {
+        const trie = new Trie();
+        trie.define('/a/b/c');
+        trie.define('/a/x');
+        trie.define('/v/:id', { version: 2 });
+        const removed = [];
+        trie.on('remove', (payload) => removed.push(payload));
+        let result = trie.remove('/a/b/c');
+        assert.strictEqual(result.node.segment, 'c');
+        assert.deepStrictEqual(result.pruned.map((node) => node.getSegments()), ['/a/b/c', '/a/b']);
+        assert.strictEqual(removed[0].pruned, result.pruned);
+        result = trie.remove('/a/x');
+        assert.deepStrictEqual(result.pruned.map((node) => node.segment), ['x', 'a']);
+        assert.deepStrictEqual(trie.remove('/nope'), { node: null, pruned: [] });
+        assert.deepStrictEqual(trie.remove('/v/:id', { version: 3 }), { node: null, pruned: [] });
+        result = trie.remove('/v/:id', { version: 2 });
+        assert.strictEqual(result.node.segment, ':id');
+        assert.strictEqual(result.pruned.length, 2);
+        assert.strictEqual(removed.length, 3);
+        assert.strictEqual(removed[2].pattern, '/v/:id');
+    });
+});